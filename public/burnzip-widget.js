@@ -0,0 +1,88 @@
+/**
+ * <burnzip-widget> for host pages: BurnZip's embed mode (src/embed.js) in an
+ * iframe, with its postMessage events re-dispatched as DOM events.
+ *
+ *   <script src="https://burnzip.co.uk/burnzip-widget.js" defer></script>
+ *   <burnzip-widget view="receive" link="https://burnzip.co.uk/#id:..."></burnzip-widget>
+ *   <burnzip-widget view="send" theme='{"accent":"#7a2ff0"}' lang="fr"></burnzip-widget>
+ *
+ * Events (bubbling CustomEvents; detail is the message minus source and type):
+ *   burnzip-ready, burnzip-link-generated, burnzip-payload-decrypted, burnzip-error
+ * The frame follows its content's height. Set the theme attribute (JSON) or call
+ * setTheme({ ... }) to restyle it, and open(link) to show another link.
+ * BurnZip is served from where this script is, so the host page must be on a
+ * different origin: that is what keeps decrypted data out of its reach.
+ */
+(function () {
+  if (!window.customElements || window.customElements.get("burnzip-widget")) return;
+  const script = document.currentScript;
+  const appUrl = new URL(".", script ? script.src : window.location.href);
+
+  class BurnZipWidget extends HTMLElement {
+    static get observedAttributes() {
+      return ["theme"];
+    }
+
+    connectedCallback() {
+      if (this.frame) return;
+      const url = new URL(appUrl.href);
+      url.searchParams.set("embed", this.getAttribute("view") === "send" ? "send" : "receive");
+      url.searchParams.set("origin", window.location.origin);
+      if (this.getAttribute("lang")) url.searchParams.set("lang", this.getAttribute("lang"));
+      const link = this.getAttribute("link") || "";
+      if (link.includes("#")) url.hash = link.slice(link.indexOf("#"));
+
+      this.frame = document.createElement("iframe");
+      this.frame.src = url.href;
+      this.frame.title = "BurnZip";
+      this.frame.allow = "clipboard-write; camera";
+      this.frame.style.cssText = "border: 0; width: 100%; height: 420px; display: block";
+      this.onMessage = (e) => {
+        if (!this.frame || e.source !== this.frame.contentWindow || e.origin !== appUrl.origin) return;
+        const data = e.data;
+        if (!data || data.source !== "burnzip" || typeof data.type !== "string") return;
+        const { source, type, ...detail } = data;
+        if (type === "resize") this.frame.style.height = `${detail.height}px`;
+        if (type === "ready") this.sendTheme();
+        this.dispatchEvent(new CustomEvent(`burnzip-${type}`, { detail, bubbles: true }));
+      };
+      window.addEventListener("message", this.onMessage);
+      this.appendChild(this.frame);
+    }
+
+    disconnectedCallback() {
+      window.removeEventListener("message", this.onMessage);
+      if (this.frame) this.frame.remove();
+      this.frame = null;
+    }
+
+    attributeChangedCallback() {
+      this.sendTheme();
+    }
+
+    setTheme(theme) {
+      this.setAttribute("theme", JSON.stringify(theme));
+    }
+
+    open(link) {
+      this.post({ type: "open", link });
+    }
+
+    post(message) {
+      if (!this.frame || !this.frame.contentWindow) return;
+      this.frame.contentWindow.postMessage({ target: "burnzip", ...message }, appUrl.origin);
+    }
+
+    sendTheme() {
+      const raw = this.getAttribute("theme");
+      if (!raw) return;
+      try {
+        this.post({ type: "theme", theme: JSON.parse(raw) });
+      } catch (e) {
+        console.warn("burnzip-widget: the theme attribute isn't JSON", e);
+      }
+    }
+  }
+
+  window.customElements.define("burnzip-widget", BurnZipWidget);
+})();
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * In-memory stand-in for the BurnZip blob store.
+ *
+ *   POST   /blobs?expiresAt=<ms>&maxOpens=<n>   body: encrypted bytes -> { id }
+ *          header X-Delete-Token-Hash: sha256 hex of the delete token (optional)
+ *   GET    /blobs/:id           -> encrypted bytes (410 once expired)
+ *   POST   /blobs/:id/consume   header X-Delete-Token -> { remaining }; deleted at 0
+ *   DELETE /blobs/:id           header X-Delete-Token -> 204
+ *
+ * The delete token travels encrypted inside the payload, so only a recipient
+ * who decrypted it can burn the copy. Fetching does not count as an open, so
+ * wrong-code attempts do not use up the limit.
+ *
+ * Nothing touches disk; everything is gone when the process exits.
+ * Usage: PORT=8787 node scripts/blob-store-server.js
+ * then build/start the app with REACT_APP_BLOB_STORE_URL=http://localhost:8787
+ */
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT || 8787);
+const MAX_BLOB_BYTES = Number(process.env.MAX_BLOB_BYTES || 200 * 1024 * 1024);
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// id -> { data, expiresAt, remainingOpens, deleteTokenHash }
+const blobs = new Map();
+
+function newId() {
+  let id;
+  do {
+    id = crypto.randomBytes(9).toString("base64").replace(/\+/g, "-").replace(/\//g, "_");
+  } while (blobs.has(id));
+  return id;
+}
+
+function sha256Hex(s) {
+  return crypto.createHash("sha256").update(s).digest("hex");
+}
+
+function isExpired(blob) {
+  return blob.expiresAt != null && Date.now() > blob.expiresAt;
+}
+
+function tokenMatches(blob, token) {
+  if (!blob.deleteTokenHash) return true;
+  if (!token) return false;
+  const a = Buffer.from(sha256Hex(token), "hex");
+  const b = Buffer.from(blob.deleteTokenHash, "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function positiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, X-Delete-Token, X-Delete-Token-Hash",
+    ...headers,
+  });
+  res.end(body);
+}
+
+function sendJson(res, status, obj) {
+  send(res, status, JSON.stringify(obj), { "Content-Type": "application/json" });
+}
+
+function handleUpload(req, res, url) {
+  const chunks = [];
+  let size = 0;
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BLOB_BYTES) {
+      sendJson(res, 413, { error: "payload too large" });
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on("end", () => {
+    if (res.writableEnded) return;
+    const id = newId();
+    const tokenHash = req.headers["x-delete-token-hash"];
+    blobs.set(id, {
+      data: Buffer.concat(chunks),
+      expiresAt: positiveInt(url.searchParams.get("expiresAt")),
+      remainingOpens: positiveInt(url.searchParams.get("maxOpens")),
+      deleteTokenHash: /^[0-9a-f]{64}$/.test(tokenHash || "") ? tokenHash : null,
+    });
+    sendJson(res, 201, { id });
+  });
+}
+
+function createServer() {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const match = url.pathname.match(/^\/blobs(?:\/([A-Za-z0-9_-]+)(\/consume)?)?\/?$/);
+
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (!match) return sendJson(res, 404, { error: "not found" });
+
+    const [, id, consume] = match;
+    if (req.method === "POST" && !id) return handleUpload(req, res, url);
+    if (!id) return sendJson(res, 405, { error: "method not allowed" });
+
+    const blob = blobs.get(id);
+    if (!blob) return sendJson(res, 404, { error: "not found" });
+    if (isExpired(blob)) {
+      blobs.delete(id);
+      return sendJson(res, 410, { error: "expired" });
+    }
+    const token = req.headers["x-delete-token"];
+
+    if (req.method === "GET" && !consume) {
+      return send(res, 200, blob.data, { "Content-Type": "application/octet-stream" });
+    }
+
+    if (req.method === "POST" && consume) {
+      if (!tokenMatches(blob, token)) return sendJson(res, 403, { error: "bad delete token" });
+      if (blob.remainingOpens != null) blob.remainingOpens -= 1;
+      const remaining = blob.remainingOpens;
+      if (remaining != null && remaining <= 0) blobs.delete(id);
+      return sendJson(res, 200, { remaining: remaining == null ? null : Math.max(0, remaining) });
+    }
+
+    if (req.method === "DELETE" && !consume) {
+      if (!tokenMatches(blob, token)) return sendJson(res, 403, { error: "bad delete token" });
+      blobs.delete(id);
+      return send(res, 204);
+    }
+
+    return sendJson(res, 405, { error: "method not allowed" });
+  });
+}
+
+function sweepExpired() {
+  for (const [id, blob] of blobs) if (isExpired(blob)) blobs.delete(id);
+}
+
+if (require.main === module) {
+  setInterval(sweepExpired, SWEEP_INTERVAL_MS).unref();
+  createServer().listen(PORT, () => {
+    console.log(`BurnZip blob store (in-memory) listening on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { createServer, sweepExpired };
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * BurnZip from the command line, built on burnzip-core (src/core). Links it
+ * makes open in the web app and the other way round.
+ *
+ *   burnzip send <file|-> --code <code> [--name <filename>] [--kdf pbkdf2|argon2id|scrypt]
+ *                [--expires 30m|24h|7d] [--max-opens <n>] [--store <url>] [--app <url>] [--no-compress]
+ *   burnzip send <file|-> --to <request link> [...]
+ *   burnzip open <link> --code <code> [--out <path|->] [--force] [--store <url>]
+ *
+ * --to encrypts to the public key in a "request a file" link instead of a code;
+ * only the browser that made the request can open the result.
+ * Small inputs are deflated before encryption when that shrinks them;
+ * --no-compress sends them as they are.
+ * The code can also come from BURNZIP_CODE, which keeps it out of shell history.
+ * The blob store defaults to BURNZIP_STORE_URL (or REACT_APP_BLOB_STORE_URL);
+ * without one, only payloads small enough to embed in the link can be sent.
+ * `open` reports on stderr whether the payload was signed, and by which key.
+ * `send` prints just the link on stdout, so it can be captured in scripts.
+ */
+import { parseArgs } from "node:util";
+import { openAsBlob, existsSync, createWriteStream } from "node:fs";
+import { basename } from "node:path";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { buffer } from "node:stream/consumers";
+import {
+  encrypt,
+  decrypt,
+  embeddedLink,
+  storedLink,
+  parseShareLink,
+  keyIdFor,
+  keyFingerprint,
+  normalizeCode,
+  KDF_PRESETS,
+  MAX_EMBED_BYTES,
+  MIN_CODE_LENGTH,
+  DEFAULT_APP_URL,
+} from "../src/core/index.js";
+
+const USAGE = `Usage:
+  burnzip send <file|-> --code <code> [--name <filename>] [--kdf pbkdf2|argon2id|scrypt]
+               [--expires 30m|24h|7d] [--max-opens <n>] [--store <url>] [--app <url>] [--no-compress]
+  burnzip send <file|-> --to <request link> [...]
+  burnzip open <link> --code <code> [--out <path|->] [--force] [--store <url>]`;
+
+const OPTIONS = {
+  code: { type: "string" },
+  to: { type: "string" },
+  name: { type: "string" },
+  kdf: { type: "string", default: "pbkdf2" },
+  expires: { type: "string" },
+  "max-opens": { type: "string" },
+  store: { type: "string" },
+  app: { type: "string", default: DEFAULT_APP_URL },
+  out: { type: "string" },
+  force: { type: "boolean", default: false },
+  "no-compress": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+class UsageError extends Error {}
+
+function parseDuration(text) {
+  const m = /^(\d+)([mhd])$/.exec(text || "");
+  if (!m) throw new UsageError(`Invalid --expires "${text}" (use e.g. 30m, 24h or 7d)`);
+  return Number(m[1]) * DURATION_UNITS[m[2]];
+}
+
+function readCode(values) {
+  const code = values.code || process.env.BURNZIP_CODE || "";
+  if (normalizeCode(code).length < MIN_CODE_LENGTH) {
+    throw new UsageError(`Pass --code (or set BURNZIP_CODE) with at least ${MIN_CODE_LENGTH} characters`);
+  }
+  return code;
+}
+
+function storeUrl(values) {
+  return (values.store || process.env.BURNZIP_STORE_URL || process.env.REACT_APP_BLOB_STORE_URL || "").replace(/\/+$/, "");
+}
+
+// same endpoints as src/storage.js and scripts/blob-store-server.js
+async function storeRequest(base, path, init) {
+  const res = await fetch(`${base}${path}`, init);
+  if (res.status === 410) throw new Error("This link has expired and its payload was deleted.");
+  if (res.status === 404) throw new Error("This payload could not be found. It may have already been opened or deleted.");
+  if (!res.ok) throw new Error(`Blob store answered ${res.status} ${res.statusText}`);
+  return res;
+}
+
+// --to <request link> -> { recipientKey }, otherwise { code, kdf }
+async function sendSecret(values) {
+  if (values.to) {
+    const parsed = parseShareLink(values.to);
+    if (!parsed || !parsed.requestKey) throw new UsageError("--to must be a BurnZip request link (#request:...)");
+    console.error(`Encrypting to request key ${keyFingerprint(await keyIdFor(parsed.requestKey))}`);
+    return { recipientKey: parsed.requestKey };
+  }
+  const kdf = KDF_PRESETS[values.kdf];
+  if (!kdf) throw new UsageError(`Unknown --kdf "${values.kdf}"`);
+  return { code: readCode(values), kdf };
+}
+
+async function send(target, values) {
+  const secret = await sendSecret(values);
+  const maxOpens = values["max-opens"] ? Number(values["max-opens"]) : null;
+  if (maxOpens != null && !(Number.isInteger(maxOpens) && maxOpens > 0)) throw new UsageError("--max-opens must be a positive integer");
+  const expiresAt = values.expires ? Date.now() + parseDuration(values.expires) : null;
+  const store = storeUrl(values);
+
+  const input = target === "-" ? new Blob([await buffer(process.stdin)]) : await openAsBlob(target);
+  const filename = values.name || (target === "-" ? "stdin.bin" : basename(target));
+  const { payload, deleteToken } = await encrypt(input, {
+    ...secret,
+    filename,
+    expiresAt,
+    maxOpens,
+    deleteToken: Boolean(store),
+    compress: !values["no-compress"],
+  });
+
+  // open limits can only be enforced server-side, so limited links go to the store when there is one
+  if (payload.size > MAX_EMBED_BYTES || (store && maxOpens)) {
+    if (!store) throw new Error("Payload exceeds the safe embed size and no blob store is configured (pass --store or set BURNZIP_STORE_URL).");
+    const params = new URLSearchParams();
+    if (expiresAt) params.set("expiresAt", String(expiresAt));
+    if (maxOpens) params.set("maxOpens", String(maxOpens));
+    const res = await storeRequest(store, `/blobs?${params}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream", "X-Delete-Token-Hash": deleteToken.tokenHash },
+      body: payload,
+    });
+    const { id } = await res.json();
+    if (typeof id !== "string") throw new Error("Blob store returned no id");
+    console.log(storedLink(id, values.app));
+  } else {
+    if (maxOpens) console.error("Note: without a blob store the open limit is informational only.");
+    console.log(embeddedLink(new Uint8Array(await payload.arrayBuffer()), values.app));
+  }
+  console.error(`Encrypted ${filename} (${Math.round(payload.size / 1024)} KB).${secret.code ? " Send the code separately." : ""}`);
+}
+
+async function open(link, values) {
+  const code = readCode(values);
+  const parsed = parseShareLink(link);
+  if (!parsed) throw new UsageError("Not a BurnZip link (expected #share:... or #id:...)");
+  const store = storeUrl(values);
+  let payload = parsed.payload;
+  if (parsed.shortId) {
+    if (!store) throw new UsageError("This link needs a blob store (pass --store or set BURNZIP_STORE_URL)");
+    payload = await (await storeRequest(store, `/blobs/${encodeURIComponent(parsed.shortId)}`)).blob();
+  }
+
+  const { data, meta, deleteToken, signer } = await decrypt(payload, code);
+  // the CLI keeps no pinned senders: the fingerprint is for the user to compare
+  console.error(signer ? `Signed by ${keyFingerprint(signer.keyId)} (signature verified)` : "Unsigned");
+  const out = values.out || basename(meta.filename) || "download.bin";
+  if (out === "-") {
+    await pipeline(Readable.fromWeb(data.stream()), process.stdout);
+  } else {
+    if (existsSync(out) && !values.force) throw new UsageError(`${out} already exists (use --force to overwrite)`);
+    await pipeline(Readable.fromWeb(data.stream()), createWriteStream(out));
+    console.error(`Saved ${out} (${Math.round(data.size / 1024)} KB)`);
+  }
+
+  // count this open on the server copy; it is burned once the limit is reached
+  if (parsed.shortId) {
+    const path = `/blobs/${encodeURIComponent(parsed.shortId)}`;
+    const burn = deleteToken
+      ? storeRequest(store, `${path}/consume`, { method: "POST", headers: { "X-Delete-Token": deleteToken } })
+      : storeRequest(store, path, { method: "DELETE" });
+    await burn.catch((e) => console.error(`Warning: blob delete failed: ${e.message}`));
+  }
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, target] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!target) throw new UsageError(USAGE);
+  if (command === "send") return send(target, values);
+  if (command === "open") return open(target, values);
+  throw new UsageError(`Unknown command "${command}"\n${USAGE}`);
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(e instanceof UsageError || e.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION" ? e.message : `burnzip: ${e.message}`);
+  process.exitCode = e instanceof UsageError ? 2 : 1;
+});
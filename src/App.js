@@ -1,266 +1,957 @@
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, lazy, Suspense } from "react";
+import QRCode from "react-qr-code";
+import {
+  encrypt,
+  decrypt,
+  MAX_EMBED_BYTES,
+  KDF_PBKDF2_SHA256,
+  KDF_ARGON2ID,
+  KDF_SCRYPT,
+  KDF_ECDH_P256,
+  KDF_PRESETS,
+  DEFAULT_KDF,
+  kdfPresetName,
+  validateKdf,
+  keyIdFor,
+  keyFingerprint,
+  parseShareLink,
+  ErrorCode,
+  isBurnZipError,
+  u8ToBase64Url,
+  embeddedLinkLength,
+  projectedPayloadLength,
+  compressPlaintext,
+  isCompressionSupported,
+  MAX_COMPRESS_INPUT_BYTES,
+  isPayloadExpired,
+  checkPayloadLength,
+  readContainerHeader,
+  generateSenderKeyPair,
+  verifyPayloadSignature,
+  splitCode,
+  parseCodeShare,
+  combineCodeShares,
+  isCodeShare,
+} from "./core";
+import { getStorageClient } from "./storage";
+import { runCryptoJob } from "./cryptoWorker";
+import { openDownloadStream } from "./streamDownload";
+import { createZip, zipSize, readZip, buildFileTree } from "./zip";
+import { filesFromInput, filesFromDrop, summarizeSelection, bundleName } from "./fileSelection";
+import {
+  CODE_ALPHABETS,
+  DEFAULT_CODE_OPTIONS,
+  MIN_CODE_LENGTH,
+  generateCode,
+  normalizeCode,
+  estimateEntropyBits,
+  describeStrength,
+} from "./passcode";
+import { payloadToFrames, SINGLE_QR_MAX_CHARS } from "./qrFrames";
+import QrImport from "./QrImport";
+import RequestFile from "./RequestFile";
+import { loadRecipientKey, loadSenderIdentity, saveSenderIdentity, loadPinnedSender, pinSender, unpinSender } from "./keyStore";
+import { detectMime, previewKind } from "./mime";
+import { takeSharedItems } from "./shareTarget";
+import { useI18n, LOCALES, LOCALE_PARAM } from "./i18n";
+import { embedConfig, notifyHost, listenToHost, reportHeight } from "./embed";
+import { theme, applyTheme } from "./theme";
+
+// Markdown + syntax highlighting are only needed once something is decrypted
+const Preview = lazy(() => import("./Preview"));
 
 /**
  * BurnZip updated App.js
  * - Improved copy UX for generated share link
  * - Minimal recipient landing view when URL contains #share:<base64>
- *
- * Keep server-side upload / short-ID approach for large payloads in future.
+ * - Payloads over MAX_EMBED_BYTES go to the blob store and share as #id:<shortId>
+ * - Large files are encrypted/decrypted in segments in a Web Worker (crypto.worker.js)
+ * - Multiple files / folders are bundled into a ZIP before encryption
+ * - Codes come from a CSPRNG (passcode.js); the KDF and its parameters travel in the header
+ * - Expiry and open limits live in the authenticated header; the blob store burns its copy
+ * - Link and code can be handed over as QR codes (multi-frame for big embedded payloads)
+ * - Decrypted files get a MIME-aware in-page preview (Preview.js) that never runs payload script
+ * - Crypto, the container format and share links live in core/ (burnzip-core), shared with the CLI
+ * - "Request a file": a #request: link carries a P-256 public key; files sent to it need no code
+ * - Installable offline PWA (service-worker.js); shared files/text open straight in the uploader
+ * - Failures are typed (core/errors.js) and shown inline: wrong code, cut-off link and altered payload differ
+ * - UI text comes from message catalogs (i18n.js, locales/); RTL layouts; links can carry ?lang=
+ * - Small payloads are deflated before encryption and links use base64url; the uploader shows the projected size
+ * - Senders can sign with a local key (core/sign.js); recipients see who signed and can pin known senders
+ * - The code can be split into k-of-n shares for separate custodians (core/shamir.js); recipients collect them
+ * - Embeddable: ?embed=receive|send shows just that view and talks to the host page (embed.js); colours and font are themable (theme.js)
  */
 
-const MAX_EMBED_BYTES = 96 * 1024; // safe embed threshold ~96KB
+const HOUR_MS = 60 * 60 * 1000;
+const EXPIRY_OPTIONS = [
+  { unit: "hours", count: 1, ms: HOUR_MS },
+  { unit: "hours", count: 24, ms: 24 * HOUR_MS },
+  { unit: "days", count: 7, ms: 7 * 24 * HOUR_MS },
+  { unit: "days", count: 30, ms: 30 * 24 * HOUR_MS },
+  { unit: "never", count: 0, ms: 0 },
+];
+const MAX_OPEN_OPTIONS = [1, 3, 5, 10, 0]; // 0 = unlimited
+const DEFAULT_CODE_SPLIT = { threshold: 2, count: 3 };
+const MAX_CODE_SHARES = 10;
 
 const Section = ({ title, children }) => (
   <section style={{ marginBottom: 28 }}>
     <h2 style={{ fontSize: 20, margin: "6px 0" }}>{title}</h2>
-    <div style={{ color: "#333", lineHeight: 1.5 }}>{children}</div>
+    <div style={{ color: theme.label, lineHeight: 1.5 }}>{children}</div>
   </section>
 );
 
-// ---- Crypto helpers ----
-async function deriveKeyFromCode(code, salt) {
-  const enc = new TextEncoder();
-  const passKey = await window.crypto.subtle.importKey(
-    "raw",
-    enc.encode(code),
-    { name: "PBKDF2" },
-    false,
-    ["deriveKey"]
+const FileTree = ({ node, depth = 0, onDownload, onPreview }) => {
+  const { t, formatSize } = useI18n();
+  return (
+  <ul style={{ listStyle: "none", margin: 0, paddingInlineStart: depth ? 16 : 0 }}>
+    {node.children.map((child) => (
+      <li key={child.entry ? child.name : `${child.name}/`}>
+        {child.entry ? (
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, padding: "3px 0" }}>
+            <span style={{ wordBreak: "break-all" }}>📄 {child.name} <span style={{ color: theme.muted, fontSize: 13 }}>({formatSize(child.entry.size)})</span></span>
+            <span style={{ display: "flex", gap: 6 }}>
+              {previewKind(detectMime(null, child.name, null), child.name) && <button onClick={() => onPreview(child.entry)} style={{ background: theme.surface, color: theme.text, border: `1px solid ${theme.border}`, padding: "4px 10px", borderRadius: 6 }}>{t("common.preview")}</button>}
+              <button onClick={() => onDownload(child.entry)} style={{ background: theme.surface, color: theme.text, border: `1px solid ${theme.border}`, padding: "4px 10px", borderRadius: 6 }}>{t("common.download")}</button>
+            </span>
+          </div>
+        ) : (
+          <>
+            <div style={{ padding: "3px 0", fontWeight: 600 }}>📁 {child.name}/</div>
+            <FileTree node={child} depth={depth + 1} onDownload={onDownload} onPreview={onPreview} />
+          </>
+        )}
+      </li>
+    ))}
+  </ul>
   );
-  return window.crypto.subtle.deriveKey(
-    {
-      name: "PBKDF2",
-      salt,
-      iterations: 200000,
-      hash: "SHA-256",
-    },
-    passKey,
-    { name: "AES-GCM", length: 256 },
-    false,
-    ["encrypt", "decrypt"]
+};
+
+// dark on white whatever the theme: scanners need the contrast
+const QrBox = ({ value }) => (
+  <div style={{ background: "#fff", padding: 12, display: "inline-block", border: "1px solid #eee", borderRadius: 8 }}>
+    <QRCode value={value} size={220} />
+  </div>
+);
+
+// cycles through multi-frame QR codes; paused it doubles as a paged view
+const QrFrameLoop = ({ frames }) => {
+  const { t } = useI18n();
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = setInterval(() => setIndex((i) => (i + 1) % frames.length), 400);
+    return () => clearInterval(timer);
+  }, [playing, frames.length]);
+  const current = index % frames.length;
+  const step = (delta) => {
+    setPlaying(false);
+    setIndex((current + delta + frames.length) % frames.length);
+  };
+  return (
+    <div>
+      <QrBox value={frames[current]} />
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 6, fontSize: 13 }}>
+        <button onClick={() => step(-1)} aria-label={t("qr.previous")} style={{ padding: "4px 10px", borderRadius: 6 }}>‹</button>
+        <button onClick={() => setPlaying(!playing)} style={{ padding: "4px 10px", borderRadius: 6 }}>{playing ? t("qr.pause") : t("qr.play")}</button>
+        <button onClick={() => step(1)} aria-label={t("qr.next")} style={{ padding: "4px 10px", borderRadius: 6 }}>›</button>
+        <span style={{ color: theme.muted }}>{t("qr.frame", { current: current + 1, total: frames.length })}</span>
+      </div>
+    </div>
   );
-}
+};
 
-async function encryptArrayBuffer(key, plaintextBuffer) {
-  const iv = window.crypto.getRandomValues(new Uint8Array(12));
-  const cipher = await window.crypto.subtle.encrypt(
-    { name: "AES-GCM", iv },
-    key,
-    plaintextBuffer
+// one custodian's share of the code, with its own copy button and QR
+const CodeShareItem = ({ token, index, count }) => {
+  const { t } = useI18n();
+  const [showQr, setShowQr] = useState(false);
+  const [copied, setCopied] = useState(false);
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(token);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2200);
+    } catch (e) {
+      // the field below stays selectable for a manual copy
+    }
+  }
+  return (
+    <div style={{ marginTop: 8 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <span style={{ fontSize: 13, color: theme.label, minWidth: 90 }}>{t("uploader.shareLabel", { index, count })}</span>
+        <input value={token} readOnly dir="ltr" onFocus={(e) => e.target.select()} style={{ flex: 1, padding: 6, borderRadius: 6, border: `1px solid ${theme.border}`, fontFamily: "monospace", fontSize: 12 }} />
+        <button onClick={copy} style={{ padding: "4px 10px", borderRadius: 6 }}>{copied ? t("uploader.shareCopied") : t("common.copy")}</button>
+        <button onClick={() => setShowQr(!showQr)} style={{ padding: "4px 10px", borderRadius: 6 }}>{showQr ? t("uploader.hideShareQr") : t("uploader.showShareQr")}</button>
+      </div>
+      {showQr && <div style={{ marginTop: 6 }}><QrBox value={token} /></div>}
+    </div>
   );
-  const ivBuf = new Uint8Array(iv.buffer);
-  const cipherBuf = new Uint8Array(cipher);
-  const out = new Uint8Array(ivBuf.length + cipherBuf.length);
-  out.set(ivBuf, 0);
-  out.set(cipherBuf, ivBuf.length);
-  return out;
-}
+};
+
+// progress.label is a progress.* catalog key: fetching, bundling, uploading, encrypting, decrypting
+const ProgressBar = ({ progress, onCancel }) => {
+  const { t, locale } = useI18n();
+  const ratio = progress.total ? progress.done / progress.total : 0;
+  return (
+    <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 10 }}>
+      <span style={{ fontSize: 13, color: theme.label, minWidth: 80 }}>{t(`progress.${progress.label}`)}…</span>
+      <progress value={progress.done} max={progress.total || 1} style={{ flex: 1 }} />
+      <span style={{ fontSize: 13, color: theme.muted }}>{new Intl.NumberFormat(locale, { style: "percent" }).format(Math.floor(ratio * 100) / 100)}</span>
+      {onCancel && <button onClick={onCancel} style={{ background: theme.surface, color: theme.text, border: `1px solid ${theme.border}`, padding: "4px 10px", borderRadius: 6 }}>{t("common.cancel")}</button>}
+    </div>
+  );
+};
 
-async function decryptArrayBuffer(key, combinedCipher) {
-  const iv = combinedCipher.slice(0, 12);
-  const cipher = combinedCipher.slice(12);
-  const plain = await window.crypto.subtle.decrypt(
-    { name: "AES-GCM", iv: iv },
-    key,
-    cipher
+// inline, screen-reader-announced replacement for alert(); errors interrupt, info waits its turn.
+// notice: { kind: "error" | "info", message: [key, params?], hints?: [[key, params?]], blocking? }
+const Notice = ({ notice, onDismiss }) => {
+  const { t } = useI18n();
+  const isError = notice.kind === "error";
+  const hints = (notice.hints || []).map(([key, params]) => t(key, params));
+  return (
+    <div role={isError ? "alert" : "status"} style={{ display: "flex", gap: 8, alignItems: "flex-start", margin: "10px 0", padding: "8px 10px", borderRadius: 6, border: `1px solid ${isError ? theme.dangerBorder : theme.infoBorder}`, background: isError ? theme.dangerSurface : theme.infoSurface, color: isError ? theme.danger : theme.info }}>
+      <div style={{ flex: 1 }}>
+        <div style={{ fontWeight: 600 }}>{t(...notice.message)}</div>
+        {hints.length > 0 && <div style={{ fontSize: 13, marginTop: 2 }}>{hints.join(" ")}</div>}
+      </div>
+      {onDismiss && !notice.blocking && <button onClick={onDismiss} aria-label={t("common.dismiss")} style={{ background: "none", border: "none", color: "inherit", fontSize: 16, cursor: "pointer", padding: 0 }}>×</button>}
+    </div>
+  );
+};
+
+// who signed the incoming payload. Anyone can make a key, so only a pinned one
+// names a sender. Nothing is shown until the signature has been checked.
+// sender: { unsigned: true } | { keyId, publicKey, fingerprint, pinned }
+const SenderBadge = ({ sender, onPin, onUnpin }) => {
+  const { t } = useI18n();
+  const [name, setName] = useState("");
+  const known = Boolean(sender.pinned);
+  const style = { margin: "0 0 12px 0", padding: "8px 10px", borderRadius: 6, fontSize: 14, border: `1px solid ${known ? theme.successBorder : theme.warningBorder}`, background: known ? theme.successSurface : theme.warningSurface, color: known ? theme.success : theme.warning };
+  if (sender.unsigned) return <div role="note" style={style}>⚠ {t("sender.unsigned")}</div>;
+  const fingerprint = <code dir="ltr">{sender.fingerprint}</code>;
+  if (known) {
+    return (
+      <div role="note" style={style}>
+        ✓ {t("sender.signedByPinned", { name: <strong>{sender.pinned.name}</strong>, fingerprint })} · {t("sender.verified")}{" "}
+        <button onClick={onUnpin} style={{ background: "none", border: "none", color: "inherit", textDecoration: "underline", cursor: "pointer", padding: 0 }}>{t("sender.unpin")}</button>
+      </div>
+    );
+  }
+  return (
+    <div role="note" style={style}>
+      <div>⚠ {t("sender.signedByUnknown", { fingerprint })} {t("sender.verified")}</div>
+      <div style={{ fontSize: 13, marginTop: 2 }}>{t("sender.unknownHint")}</div>
+      <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder={t("sender.namePlaceholder")} aria-label={t("sender.namePlaceholder")} style={{ flex: 1, padding: 6, borderRadius: 6, border: `1px solid ${theme.border}` }} />
+        <button onClick={() => onPin(name.trim())} disabled={!name.trim()} style={{ padding: "4px 10px", borderRadius: 6 }}>{t("sender.pin")}</button>
+      </div>
+    </div>
   );
-  return new Uint8Array(plain);
+};
+
+// verifies the signature first, so a bad one throws TAMPERED before any badge
+async function describeSender(payload, meta) {
+  const signer = await verifyPayloadSignature(payload, meta);
+  if (!signer) return { unsigned: true };
+  const pinned = await loadPinnedSender(signer.keyId).catch(() => null);
+  return { ...signer, fingerprint: keyFingerprint(signer.keyId), pinned };
+}
+
+// ---- Notices ----
+const MAX_CODE_ATTEMPTS = 5;
+
+// BurnZipErrors (core/errors.js) are worded per code by the catalogs' errors.* entries:
+// what went wrong, then what the user can do next
+function errorNotice(e, fallbackKey) {
+  if (isBurnZipError(e) && ErrorCode[e.code]) {
+    return { kind: "error", message: [`errors.${e.code}.message`], hints: [[`errors.${e.code}.hint`]] };
+  }
+  return { kind: "error", message: [fallbackKey] };
 }
 
-function u8ToBase64(u8) {
-  let CHUNK_SIZE = 0x8000;
-  let index = 0;
-  let length = u8.length;
-  let result = "";
-  while (index < length) {
-    result += String.fromCharCode.apply(null, u8.subarray(index, Math.min(index + CHUNK_SIZE, length)));
-    index += CHUNK_SIZE;
+// wrong codes are only guessed at here, so the limit is per page: it paces typos, it can't stop an attacker
+function wrongCodeNotice(e, attempts, maxOpens) {
+  const left = MAX_CODE_ATTEMPTS - attempts;
+  if (left <= 0) {
+    return { kind: "error", blocking: true, message: ["notice.tooManyAttempts"], hints: [["notice.tooManyAttemptsHint"]] };
   }
-  return btoa(result);
+  const hints = [["notice.attemptsLeft", { count: left }]];
+  // older payloads carry no key check, so a damaged one looks like a wrong code
+  if (e.code === ErrorCode.DECRYPT_FAILED) hints.push(["notice.maybeDamaged"]);
+  if (maxOpens) hints.push(["notice.opensUnaffected"]);
+  return { kind: "error", message: [`errors.${e.code}.message`], hints };
 }
 
-function base64ToU8(b64) {
-  const bin = atob(b64);
-  const len = bin.length;
-  const u8 = new Uint8Array(len);
-  for (let i = 0; i < len; i++) u8[i] = bin.charCodeAt(i);
-  return u8;
+// ---- Previews ----
+const SNIFF_BYTES = 4096;
+
+// what to preview decrypted bytes as: the header's MIME, their magic bytes or the filename.
+// Only <Preview> gets this type; see asDownload.
+async function sniffMime(blob, storedMime, filename) {
+  const head = new Uint8Array(await blob.slice(0, SNIFF_BYTES).arrayBuffer());
+  return detectMime(storedMime, filename, head);
 }
 
-// packaging: [salt(16) | filenameLen(1) | filename(bytes) | encrypted(iv+cipher)]
-function packageEncrypted(salt, filename, encryptedU8) {
-  const filenameBytes = new TextEncoder().encode(filename);
-  const headerLen = 16 + 1 + filenameBytes.length;
-  const out = new Uint8Array(headerLen + encryptedU8.length);
-  out.set(salt, 0);
-  out[16] = filenameBytes.length & 0xff;
-  out.set(filenameBytes, 17);
-  out.set(encryptedU8, headerLen);
-  return out;
+// downloads stay untyped: a text/html or SVG blob: URL opened in a tab would run
+// the sender's script in BurnZip's origin, next to the keys in keyStore.js
+const DOWNLOAD_TYPE = "application/octet-stream";
+function asDownload(blob) {
+  return blob.type === DOWNLOAD_TYPE ? blob : new Blob([blob], { type: DOWNLOAD_TYPE });
 }
 
-function unpackageEncrypted(u8) {
-  const salt = u8.slice(0, 16);
-  const filenameLen = u8[16];
-  const filenameBytes = u8.slice(17, 17 + filenameLen);
-  const filename = new TextDecoder().decode(filenameBytes);
-  const encrypted = u8.slice(17 + filenameLen);
-  return { salt, filename, encrypted };
+// ---- Link size ----
+// what the payload for the uploader's current input would weigh, before any key
+// exists. Bundles are zipped only when small enough to end up in a link.
+async function projectPayload({ mode, selection, message, compress, kdf, lifetime, signer }) {
+  let blob;
+  let size;
+  let filename = "message.txt";
+  let mime = "text/plain;charset=utf-8";
+  let bundle = false;
+  if (mode === "message") {
+    if (!message) return null;
+    blob = new Blob([message]);
+  } else {
+    if (!selection.length) return null;
+    blob = selection[0].file;
+    filename = blob.name;
+    mime = blob.type || "application/octet-stream";
+    if (selection.length > 1 || selection[0].path.includes("/")) {
+      // a bundle too big to deflate is never built here: its size is known up front
+      size = zipSize(selection);
+      blob = size <= MAX_COMPRESS_INPUT_BYTES ? await createZip(selection) : null;
+      filename = bundleName(selection);
+      mime = "application/zip";
+      bundle = true;
+    }
+  }
+  if (blob) size = blob.size;
+  let compressed = null;
+  if (compress && blob && size <= MAX_COMPRESS_INPUT_BYTES) compressed = await compressPlaintext(new Uint8Array(await blob.arrayBuffer()), mime);
+  return projectedPayloadLength({ kdf, filename, mime, size, bundle, compression: compressed && compressed.compression, signer, ...lifetime });
 }
 
+// switches the UI language; the choice is remembered in this browser
+const LanguageSwitcher = () => {
+  const { t, locale, setLocale } = useI18n();
+  return (
+    <select value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t("common.language")} style={{ padding: 6, borderRadius: 6, border: `1px solid ${theme.border}`, background: theme.surface, color: theme.text }}>
+      {Object.entries(LOCALES).map(([id, l]) => <option key={id} value={id} lang={id}>{l.name}</option>)}
+    </select>
+  );
+};
+
 // ---- App ----
 export default function App() {
+  const { t, formatSize, formatDate } = useI18n();
   const [uploaderOpen, setUploaderOpen] = useState(false);
   const [mode, setMode] = useState("file");
   const [code, setCode] = useState("");
+  const [codeOptions, setCodeOptions] = useState(DEFAULT_CODE_OPTIONS);
+  const [generatedWith, setGeneratedWith] = useState(null); // { code, options } of the last generated code
+  const [kdf, setKdf] = useState(DEFAULT_KDF);
+  const [expiryMs, setExpiryMs] = useState(24 * HOUR_MS);
+  const [maxOpens, setMaxOpens] = useState(1);
+  const [linkLocale, setLinkLocale] = useState(""); // "" = the recipient's own browser language
+  const [compress, setCompress] = useState(isCompressionSupported());
+  const [projectedSize, setProjectedSize] = useState(null); // payload bytes for the current input, see projectPayload
   const [message, setMessage] = useState("");
   const fileInputRef = useRef(null);
-  const [preview, setPreview] = useState(null);
+  const folderInputRef = useRef(null);
+  const [selection, setSelection] = useState([]); // [{ file, path }]
+  const [dragActive, setDragActive] = useState(false);
+  const [preview, setPreview] = useState(null); // { filename, size } of the prepared payload
   const [shareUrl, setShareUrl] = useState(null);
   const [busy, setBusy] = useState(false);
-  const [pasteWarning, setPasteWarning] = useState(null);
+  const [notice, setNotice] = useState(null); // see Notice
   const copyInputRef = useRef(null);
-  const [copyToast, setCopyToast] = useState("");
+  const [copyToast, setCopyToast] = useState(""); // catalog key
+  const [qrView, setQrView] = useState(null); // null | "link" | "code"
+  const [importOpen, setImportOpen] = useState(false);
+  const [requestOpen, setRequestOpen] = useState(false);
+  const [requestKey, setRequestKey] = useState(null); // { publicKey, fingerprint } when encrypting to a request link
+  const [senderIdentity, setSenderIdentity] = useState(null); // { privateKey, publicKey, fingerprint } kept in this browser
+  const [signAsSender, setSignAsSender] = useState(false);
+  const [codeSplit, setCodeSplit] = useState(null); // { threshold, count } to hand the code out as shares
+  const [progress, setProgress] = useState(null); // { label, done, total }
+  const cancelRef = useRef(null);
 
   // recipient flow state
   const [incomingShare, setIncomingShare] = useState(null);
+  const [incomingShortId, setIncomingShortId] = useState(null);
   const [incomingCode, setIncomingCode] = useState("");
-  const [decryptedPreview, setDecryptedPreview] = useState(null);
+  const [codeShares, setCodeShares] = useState(null); // parsed code shares while collecting them, see core/shamir.js
+  const [shareInput, setShareInput] = useState("");
+  const [codeAttempts, setCodeAttempts] = useState(0); // wrong codes entered for this payload
+  const [incomingMeta, setIncomingMeta] = useState(null); // v1 header, readable before decryption
+  const [incomingKey, setIncomingKey] = useState(null); // public-key payloads: { privateKey } or { missing: true }
+  const [sender, setSender] = useState(null); // see SenderBadge
+  const [previewItem, setPreviewItem] = useState(null); // { blob, mime, filename }
   const [downloadReady, setDownloadReady] = useState(null);
+  const [bundleEntries, setBundleEntries] = useState(null);
 
+  // projected link size, refreshed as the input and options change
   useEffect(() => {
-    // detect share fragment of form #share:<base64>
-    const frag = window.location.hash || "";
+    if (!uploaderOpen) return undefined;
+    let stale = false;
+    const timer = setTimeout(() => {
+      const store = getStorageClient();
+      const lifetime = { expiresAt: expiryMs ? Date.now() + expiryMs : null, maxOpens: maxOpens || null, deleteToken: Boolean(store) };
+      const headerKdf = requestKey ? { id: KDF_ECDH_P256 } : kdf;
+      projectPayload({ mode, selection, message, compress, kdf: headerKdf, lifetime, signer: signAsSender && Boolean(senderIdentity) })
+        .then((size) => !stale && setProjectedSize(size))
+        .catch(() => !stale && setProjectedSize(null));
+    }, 300);
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+    };
+  }, [uploaderOpen, mode, selection, message, compress, kdf, requestKey, expiryMs, maxOpens, signAsSender, senderIdentity]);
+
+  // this browser's sender key, if one was made before
+  useEffect(() => {
+    if (!uploaderOpen || senderIdentity) return;
+    loadSenderIdentity()
+      .then((record) => record && describeSenderIdentity(record))
+      .then((identity) => identity && setSenderIdentity(identity))
+      .catch((e) => console.warn("Sender key unavailable", e));
+  }, [uploaderOpen, senderIdentity]);
+
+  // the recipient page opens in this language when the sender picked one
+  function shareAppUrl() {
+    return `${window.location.origin}${window.location.pathname}${linkLocale ? `?${LOCALE_PARAM}=${linkLocale}` : ""}`;
+  }
+
+  async function describeRequestKey(publicKey) {
+    return { publicKey, fingerprint: keyFingerprint(await keyIdFor(publicKey)) };
+  }
+
+  async function describeSenderIdentity({ privateKey, publicKey }) {
+    return { privateKey, publicKey, fingerprint: keyFingerprint(await keyIdFor(publicKey)) };
+  }
+
+  // the key pair is made the first time someone signs, then reused so recipients can pin it
+  async function handleSignToggle(on) {
+    setSignAsSender(on);
+    if (!on || senderIdentity) return;
+    try {
+      const pair = await generateSenderKeyPair();
+      await saveSenderIdentity(pair);
+      setSenderIdentity(await describeSenderIdentity(pair));
+    } catch (e) {
+      console.error("Sender key creation failed", e);
+      setSignAsSender(false);
+      setNotice({ kind: "error", message: ["notice.senderKeyFailed"] });
+    }
+  }
+
+  // accepts "#share:<base64>", "#id:<shortId>" or "#request:<publicKey>" from the address bar or a scanned QR
+  function loadShareFragment(frag) {
     if (frag.startsWith("#share:")) {
-      const payloadB64 = frag.slice(7);
-      if (payloadB64 && payloadB64.length > 0) {
+      if (frag.length > 7) {
+        // remove fragment from visible address bar while keeping payload in memory
+        // history.replaceState requires window.history explicitly
+        window.history.replaceState(null, "", window.location.pathname);
         try {
-          const u8 = base64ToU8(payloadB64);
-          setIncomingShare(u8);
-          // remove fragment from visible address bar while keeping payload in memory
-          // history.replaceState requires window.history explicitly
-          window.history.replaceState(null, "", window.location.pathname);
+          setIncomingShare(new Blob([parseShareLink(frag).payload]));
         } catch (e) {
-          setPasteWarning("Malformed share link");
+          // still show the recipient view, so the problem is explained where the payload was expected
+          setIncomingShare(new Blob([]));
+          setNotice({ ...errorNotice(e, "errors.MALFORMED_LINK.message"), blocking: true });
         }
       }
+    } else if (frag.startsWith("#id:")) {
+      // short-ID link: payload lives in the blob store, fetch it
+      const shortId = frag.slice(4);
+      if (shortId) {
+        setIncomingShortId(shortId);
+        window.history.replaceState(null, "", window.location.pathname);
+        const store = getStorageClient();
+        if (!store) {
+          setNotice({ kind: "error", blocking: true, message: ["notice.storeMissing"] });
+          return;
+        }
+        store
+          .get(shortId, { onProgress: (p) => setProgress({ label: "fetching", ...p }) })
+          .then((blob) => setIncomingShare(blob))
+          .catch((e) => {
+            console.error("Fetch failed", e);
+            if (e.response && e.response.status === 410) {
+              setNotice({ kind: "error", blocking: true, message: ["notice.storeExpired"], hints: [["errors.EXPIRED.hint"]] });
+            } else {
+              setNotice({ kind: "error", blocking: true, message: ["notice.fetchFailed"] });
+            }
+          })
+          .finally(() => setProgress(null));
+      }
+    } else if (frag.startsWith("#request:")) {
+      // someone asked for a file: open the uploader encrypting to their key
+      window.history.replaceState(null, "", window.location.pathname);
+      const parsed = parseShareLink(frag);
+      if (!parsed || !parsed.requestKey) {
+        setNotice({ kind: "error", message: ["notice.malformedRequest"], hints: [["errors.MALFORMED_LINK.hint"]] });
+        return;
+      }
+      describeRequestKey(parsed.requestKey).then(openUploader);
     }
+  }
+
+  // this render's handlers, for effects that only run on mount
+  const handlersRef = useRef(null);
+  handlersRef.current = { loadShareFragment, openUploader };
+
+  useEffect(() => {
+    // detect share fragment of form #share:<base64>
+    handlersRef.current.loadShareFragment(window.location.hash || "");
+    // shared into the installed app from another one (Web Share Target)
+    takeSharedItems().then((items) => {
+      if (!items) return;
+      handlersRef.current.openUploader();
+      if (items.files.length) {
+        setMode("file");
+        setSelection(filesFromInput(items.files));
+      } else {
+        setMode("message");
+        setMessage(items.text);
+      }
+    });
   }, []);
 
-  function randomExampleCode() {
-    return Math.random().toString(36).slice(2, 12).toUpperCase();
+  // embedded in a host page (embed.js): announce the view, keep the frame sized
+  // to the content, and take themes and links from the host
+  useEffect(() => {
+    if (!embedConfig) return undefined;
+    if (embedConfig.view === "send") setUploaderOpen(true);
+    const stopListening = listenToHost(embedConfig, {
+      theme: (msg) => applyTheme(msg.theme),
+      open: (msg) => typeof msg.link === "string" && msg.link.includes("#") && handlersRef.current.loadShareFragment(msg.link.slice(msg.link.indexOf("#"))),
+    });
+    const stopReporting = reportHeight(embedConfig);
+    notifyHost(embedConfig, "ready", { view: embedConfig.view });
+    return () => {
+      stopListening();
+      stopReporting();
+    };
+  }, []);
+
+  // the host hears about failures by error code, never with payload contents
+  useEffect(() => {
+    if (!embedConfig || !notice || notice.kind !== "error") return;
+    const [key] = notice.message;
+    const code = key.startsWith("errors.") ? key.split(".")[1] : null;
+    notifyHost(embedConfig, "error", { code, key });
+  }, [notice]);
+
+  // read expiry / open limit from the header as soon as the payload is here;
+  // a cut-off, unreadable or tampered payload is reported before anyone types
+  // a code. The signature needs no code, so the sender badge waits for it.
+  useEffect(() => {
+    if (!incomingShare || !incomingShare.size) return;
+    setCodeAttempts(0);
+    readContainerHeader(incomingShare)
+      .then(async (meta) => {
+        setIncomingMeta(meta);
+        checkPayloadLength(meta, incomingShare.size);
+        if (meta) setSender(await describeSender(incomingShare, meta));
+      })
+      .catch((e) => setNotice({ ...errorNotice(e, "notice.unreadable"), blocking: true }));
+  }, [incomingShare]);
+
+  // public-key payloads: look for the matching private key in this browser
+  useEffect(() => {
+    if (!incomingMeta || incomingMeta.kdf.id !== KDF_ECDH_P256) return;
+    loadRecipientKey(incomingMeta.kdf.recipientKeyId)
+      .then((record) => setIncomingKey(record ? { privateKey: record.privateKey } : { missing: true }))
+      .catch(() => setIncomingKey({ missing: true }));
+  }, [incomingMeta]);
+
+  async function handlePinSender(name) {
+    try {
+      const pinned = await pinSender(sender.keyId, sender.publicKey, name);
+      setSender((s) => ({ ...s, pinned }));
+    } catch (e) {
+      console.error("Pinning failed", e);
+      setNotice({ kind: "error", message: ["notice.pinFailed"] });
+    }
+  }
+
+  async function handleUnpinSender() {
+    await unpinSender(sender.keyId).catch((e) => console.warn("Unpinning failed", e));
+    setSender((s) => ({ ...s, pinned: null }));
+  }
+
+  async function regenerateCode(options = codeOptions) {
+    try {
+      const next = await generateCode(options);
+      setCode(next);
+      setGeneratedWith({ code: next, options });
+    } catch (e) {
+      console.error("Code generation failed", e);
+    }
   }
 
-  function openUploader() {
-    setCode(randomExampleCode());
+  // the threshold can't exceed the number of shares
+  function handleCodeSplitChange(patch) {
+    const next = { ...codeSplit, ...patch };
+    setCodeSplit({ count: next.count, threshold: Math.min(next.threshold, next.count) });
+  }
+
+  function handleCodeOptionsChange(patch) {
+    const next = { ...codeOptions, ...patch };
+    setCodeOptions(next);
+    regenerateCode(next);
+  }
+
+  function describeSelection({ count, name }) {
+    if (count === 1) return name;
+    return name ? `${t("uploader.files", { count })} (${name})` : t("uploader.files", { count });
+  }
+
+  // recipient: { publicKey, fingerprint } to encrypt to a request link instead of a code
+  function openUploader(recipient = null) {
+    setRequestKey(recipient);
+    regenerateCode();
     setMessage("");
+    setSelection([]);
     setPreview(null);
     setShareUrl(null);
+    setQrView(null);
     setUploaderOpen(true);
-    setPasteWarning(null);
+    setNotice(null);
+  }
+
+  async function handleRequestLinkPaste(text) {
+    try {
+      const parsed = parseShareLink(text);
+      if (parsed && parsed.requestKey) setRequestKey(await describeRequestKey(parsed.requestKey));
+    } catch (e) {
+      // a damaged share link pasted where a request link goes: nothing to use
+    }
   }
 
   async function handlePrepareAndGenerateLink() {
-    if (!code || code.length !== 10) {
-      alert("Enter a 10-character code");
+    if (!requestKey && normalizeCode(code).length < MIN_CODE_LENGTH) {
+      setNotice({ kind: "error", message: ["notice.codeTooShort", { min: MIN_CODE_LENGTH }] });
       return;
     }
+    // the advanced fields take any number; encrypt would refuse it as if a newer version wrote it
+    if (!requestKey) {
+      try {
+        validateKdf(kdf);
+      } catch (e) {
+        setNotice({ kind: "error", message: ["notice.kdfOutOfRange"] });
+        return;
+      }
+    }
     setBusy(true);
+    setNotice(null);
     try {
-      const salt = window.crypto.getRandomValues(new Uint8Array(16));
-      const key = await deriveKeyFromCode(code, salt);
-      let plaintextU8;
+      let input;
+      let bundle = false;
       let filename = "message.txt";
 
       if (mode === "file") {
-        const f = fileInputRef.current && fileInputRef.current.files[0];
-        if (!f) {
-          alert("Select a file first");
+        if (!selection.length) {
+          setNotice({ kind: "error", message: ["notice.selectFile"] });
           setBusy(false);
           return;
         }
-        filename = f.name;
-        plaintextU8 = new Uint8Array(await f.arrayBuffer());
+        input = selection[0].file;
+        if (selection.length > 1 || selection[0].path.includes("/")) {
+          // several files or a folder: pack into one ZIP, then treat it as a single file
+          const zip = await createZip(selection, (p) => setProgress({ label: "bundling", ...p }));
+          input = new File([zip], bundleName(selection), { type: "application/zip" });
+          bundle = true;
+        }
+        filename = input.name;
       } else {
         if (!message || !message.trim()) {
-          alert("Enter a message first");
+          setNotice({ kind: "error", message: ["notice.enterMessage"] });
           setBusy(false);
           return;
         }
-        plaintextU8 = new TextEncoder().encode(message);
+        input = message;
       }
 
-      const encryptedU8 = await encryptArrayBuffer(key, plaintextU8);
-      const packaged = packageEncrypted(salt, filename, encryptedU8);
-      setPreview(`${filename} → encrypted (${Math.round(packaged.length / 1024)} KB)`);
-
-      if (packaged.length > MAX_EMBED_BYTES) {
-        setPasteWarning("Payload exceeds safe embed size. Upload the encrypted blob to your server and share a short ID instead.");
+      const store = getStorageClient();
+      // too big for a link even deflated (bigger ones aren't deflated at all): don't encrypt for nothing
+      if (!store && input.size > (compress ? MAX_COMPRESS_INPUT_BYTES : MAX_EMBED_BYTES)) {
+        setNotice({ kind: "error", message: ["notice.noStore"] });
         setShareUrl(null);
         setBusy(false);
         return;
       }
+      const lifetime = {
+        expiresAt: expiryMs ? Date.now() + expiryMs : null,
+        maxOpens: maxOpens || null,
+      };
+      const signer = signAsSender ? senderIdentity : null;
+      // large files go through the worker segment by segment and are never read whole
+      const { payload, deleteToken } = await encrypt(input, {
+        code,
+        recipientKey: requestKey && requestKey.publicKey,
+        filename,
+        kdf,
+        bundle,
+        ...lifetime,
+        deleteToken: Boolean(store),
+        signer,
+        compress,
+        onProgress: (p) => setProgress({ label: "encrypting", ...p }),
+        sealChunked: sealInWorker,
+      });
+      const packagedSize = payload.size;
+      setPreview({ filename, size: packagedSize });
 
-      const b64 = u8ToBase64(packaged);
-      const url = `${window.location.origin}${window.location.pathname}#share:${b64}`;
-      setShareUrl({ url, code, size: packaged.length, filename });
+      const appUrl = shareAppUrl();
+      let url;
+      let shortId = null;
+      let qrFrames = null;
+      // open limits can only be enforced server-side, so limited links go to the store when there is one
+      if (packagedSize > MAX_EMBED_BYTES || (store && lifetime.maxOpens)) {
+        if (!store) {
+          setNotice({ kind: "error", message: ["notice.noStore"] });
+          setShareUrl(null);
+          setBusy(false);
+          return;
+        }
+        // only the encrypted package is uploaded; the code never leaves the browser
+        const abort = new AbortController();
+        cancelRef.current = () => abort.abort();
+        shortId = await store.put(payload, {
+          signal: abort.signal,
+          onProgress: (p) => setProgress({ label: "uploading", ...p }),
+          expiresAt: lifetime.expiresAt,
+          maxOpens: lifetime.maxOpens,
+          deleteTokenHash: deleteToken.tokenHash,
+        });
+        url = `${appUrl}#id:${shortId}`;
+      } else {
+        const encoded = u8ToBase64Url(new Uint8Array(await payload.arrayBuffer()));
+        url = `${appUrl}#share:${encoded}`;
+        // too long for one scannable code: hand the payload over as a frame sequence
+        if (url.length > SINGLE_QR_MAX_CHARS) qrFrames = await payloadToFrames(encoded);
+      }
+      // split codes are only handed out as shares
+      const shares = codeSplit && !requestKey ? await splitCode(code, codeSplit.threshold, codeSplit.count) : null;
+      setShareUrl({ url, code: requestKey || shares ? null : code, shares, threshold: codeSplit && codeSplit.threshold, size: packagedSize, filename, shortId, qrFrames, ...lifetime });
+      notifyHost(embedConfig, "link-generated", {
+        url,
+        shortId,
+        size: packagedSize,
+        filename,
+        expiresAt: lifetime.expiresAt,
+        maxOpens: lifetime.maxOpens,
+        signed: Boolean(signer),
+        shares: shares ? shares.length : 0,
+      });
 
       // copy to clipboard and show toast
       try {
         await navigator.clipboard.writeText(url);
-        setCopyToast("Link copied to clipboard");
+        setCopyToast("uploader.linkCopied");
         setTimeout(() => setCopyToast(""), 2200);
       } catch (e) {
         // ignore copy failure; UI still shows input for manual copy
       }
     } catch (e) {
-      console.error("Encrypt/pack failed", e);
-      alert("Encryption failed; check console for details");
+      if (e.name === "AbortError") {
+        setNotice({ kind: "info", message: ["notice.cancelled"] });
+      } else {
+        console.error("Encrypt/pack failed", e);
+        setNotice(errorNotice(e, "notice.encryptFailed"));
+      }
     } finally {
       setBusy(false);
+      setProgress(null);
+      cancelRef.current = null;
+    }
+  }
+
+  // chunked payloads: core encrypt's segment sealing, run in the worker
+  function sealInWorker(key, file, { onProgress, ...opts }) {
+    const job = runCryptoJob({ type: "encrypt", key, file, ...opts }, [], onProgress);
+    cancelRef.current = job.cancel;
+    return job.promise;
+  }
+
+  // chunked payloads: core decrypt's segment opening, run in the worker. The plaintext
+  // streams to disk via the download service worker when possible; bundles are kept
+  // as a Blob instead so their file listing can be shown.
+  // meta: { filename, size, bundle } from the header
+  function openInWorker({ filename, size, bundle }) {
+    return async (key, blob, { onProgress, ...opts }) => {
+      const job = { ...opts, key, blob };
+      // payloads without a key check: try the code on the first segment before any download starts
+      if (!opts.keyChecked) {
+        const verify = runCryptoJob({ ...job, type: "verify" });
+        cancelRef.current = verify.cancel;
+        await verify.promise;
+      }
+
+      const stream = bundle ? null : await openDownloadStream({ filename, mime: DOWNLOAD_TYPE, size });
+      const run = runCryptoJob({ ...job, type: "decrypt", port: stream ? stream.port : null }, stream ? [stream.port] : [], onProgress);
+      cancelRef.current = () => {
+        run.cancel();
+        if (stream) stream.abort();
+      };
+      if (stream) stream.start();
+      try {
+        return await run.promise;
+      } finally {
+        if (stream) stream.close();
+      }
+    };
+  }
+
+  function handleCancel() {
+    if (cancelRef.current) cancelRef.current();
+  }
+
+  // collects code shares one at a time; once enough are in, the rebuilt code is used as if typed
+  async function handleAddCodeShare() {
+    try {
+      const share = await parseCodeShare(shareInput);
+      const next = [...codeShares.filter((s) => s.index !== share.index), share];
+      // combining also refuses a share from another split, so try as soon as sets mix
+      if (next.length >= share.threshold || next.some((s) => s.setId !== share.setId)) setIncomingCode(combineCodeShares(next));
+      setCodeShares(next);
+      setShareInput("");
+      setNotice(null);
+    } catch (e) {
+      setNotice(errorNotice(e, "errors.BAD_SHARE.message"));
+    }
+  }
+
+  // a share pasted where the code goes switches to collecting shares
+  function handleIncomingCodeChange(value) {
+    if (isCodeShare(value)) {
+      handleUseCodeShares(true);
+      setShareInput(value.trim());
+    } else {
+      setIncomingCode(value.toUpperCase());
     }
   }
 
+  function handleUseCodeShares(on) {
+    setCodeShares(on ? [] : null);
+    setShareInput("");
+    setIncomingCode("");
+  }
+
   // minimal recipient view: decrypt and produce download
-  async function handleDownloadFromShare(u8Payload) {
+  async function handleDownloadFromShare(payload) {
     try {
       setBusy(true);
-      const { salt, filename, encrypted } = unpackageEncrypted(u8Payload);
-      if (!incomingCode || incomingCode.length !== 10) {
-        alert("Enter the 10-character code to decrypt");
+      const head = await readContainerHeader(payload);
+      const sentToKey = Boolean(head && head.kdf.id === KDF_ECDH_P256);
+      if (!sentToKey && normalizeCode(incomingCode).length < MIN_CODE_LENGTH) {
+        setNotice({ kind: "error", message: ["notice.enterCode"] });
         setBusy(false);
         return;
       }
-      const key = await deriveKeyFromCode(incomingCode, salt);
-      const decrypted = await decryptArrayBuffer(key, encrypted);
-
-      // detect ASCII text to show preview
-      let isText = false;
-      try {
-        const txt = new TextDecoder().decode(decrypted);
-        isText = /^[\x09\x0a\x0d\x20-\x7e]*$/.test(txt.slice(0, 500));
-        if (isText) setDecryptedPreview(txt.slice(0, 10000));
-      } catch (e) {
-        isText = false;
+      if (isPayloadExpired(head)) {
+        setIncomingMeta(head);
+        setBusy(false);
+        return;
+      }
+      setNotice(null);
+      // the code, or this browser's private key for payloads sent to a request link
+      const secret = sentToKey ? incomingKey && incomingKey.privateKey : incomingCode;
+      // a cut-off or re-signed payload is refused before any key is derived;
+      // the badge's signature check stands for this payload, so it isn't hashed again
+      const { data, meta, deleteToken, signer } = await decrypt(payload, secret, {
+        onProgress: (p) => setProgress({ label: "decrypting", ...p }),
+        openChunked: head ? openInWorker(head) : null,
+        verifiedSigner: payload === incomingShare && sender && sender.keyId ? { publicKey: sender.publicKey, keyId: sender.keyId } : null,
+      });
+      if (data) {
+        await showPlaintext(data, meta);
+      } else {
+        setDownloadReady({ url: null, filename: meta.filename, size: meta.size });
       }
+      // metadata only: the plaintext stays in this frame
+      notifyHost(embedConfig, "payload-decrypted", {
+        filename: meta.filename,
+        mime: meta.mime,
+        size: meta.size,
+        bundle: Boolean(meta.bundle),
+        signer: signer ? keyFingerprint(signer.keyId) : null,
+      });
 
-      const blob = new Blob([decrypted], { type: "application/octet-stream" });
-      const objectUrl = URL.createObjectURL(blob);
-      setDownloadReady({ url: objectUrl, filename, size: blob.size });
+      // count this open on the server copy; it is burned once the limit is reached
+      if (incomingShortId) {
+        const store = getStorageClient();
+        if (store) {
+          const burn = deleteToken ? store.consume(incomingShortId, deleteToken) : store.remove(incomingShortId);
+          burn.catch((e) => console.warn("Blob delete failed", e));
+        }
+      }
     } catch (e) {
-      console.error("Decrypt failed", e);
-      alert("Decryption failed. Check the code and try again.");
+      if (e.name === "AbortError") {
+        setNotice({ kind: "info", message: ["notice.cancelled"] });
+      } else if (isBurnZipError(e, ErrorCode.WRONG_CODE) || isBurnZipError(e, ErrorCode.DECRYPT_FAILED)) {
+        const attempts = codeAttempts + 1;
+        setCodeAttempts(attempts);
+        setNotice(wrongCodeNotice(e, attempts, incomingMeta && incomingMeta.maxOpens));
+      } else {
+        console.error("Decrypt failed", e);
+        setNotice(errorNotice(e, "notice.decryptFailed"));
+      }
     } finally {
       setBusy(false);
+      setProgress(null);
+      cancelRef.current = null;
     }
   }
 
+  // meta: { filename, mime, bundle } from the header
+  async function showPlaintext(plain, { filename, mime, bundle }) {
+    const blob = asDownload(plain);
+    setDownloadReady({ url: URL.createObjectURL(blob), filename, size: blob.size });
+    if (bundle) setBundleEntries(await readZip(blob));
+    else setPreviewItem({ blob, mime: await sniffMime(blob, mime, filename), filename });
+  }
+
+  async function downloadBundleEntry(entry) {
+    const name = entry.path.split("/").pop();
+    const url = URL.createObjectURL(asDownload(entry.blob));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+
+  async function previewBundleEntry(entry) {
+    const filename = entry.path.split("/").pop();
+    setPreviewItem({ blob: entry.blob, mime: await sniffMime(entry.blob, null, filename), filename });
+  }
+
+  async function handleDrop(e) {
+    e.preventDefault();
+    setDragActive(false);
+    setSelection(await filesFromDrop(e.dataTransfer));
+  }
+
   function handleClearIncoming() {
     setIncomingShare(null);
+    setIncomingShortId(null);
+    setIncomingMeta(null);
+    setIncomingKey(null);
+    setSender(null);
     setIncomingCode("");
-    setDecryptedPreview(null);
+    setCodeShares(null);
+    setShareInput("");
+    setCodeAttempts(0);
+    setPreviewItem(null);
+    if (downloadReady && downloadReady.url) URL.revokeObjectURL(downloadReady.url);
     setDownloadReady(null);
-    setPasteWarning(null);
+    setBundleEntries(null);
+    setNotice(null);
     // keep user on same page without fragment
     window.history.replaceState(null, "", window.location.pathname);
   }
@@ -271,148 +962,362 @@ export default function App() {
     copyInputRef.current.select();
     try {
       await navigator.clipboard.writeText(copyInputRef.current.value);
-      setCopyToast("Link copied to clipboard");
+      setCopyToast("uploader.linkCopied");
       setTimeout(() => setCopyToast(""), 2200);
     } catch (e) {
-      setCopyToast("Copy failed");
+      setCopyToast("uploader.copyFailed");
       setTimeout(() => setCopyToast(""), 2200);
     }
   }
 
   // If an incoming share exists, render only the minimal recipient UI
-  if (incomingShare) {
+  if (incomingShare || incomingShortId) {
+    if (isPayloadExpired(incomingMeta)) {
+      return (
+        <div style={{ fontFamily: theme.font, color: theme.text, padding: 24, maxWidth: 720, margin: "24px auto" }}>
+          <div style={{ float: "inline-end" }}><LanguageSwitcher /></div>
+          <h1 style={{ marginTop: 0 }}>{t("recipient.expiredTitle")}</h1>
+          <p>{t("recipient.expiredBody", { date: formatDate(incomingMeta.expiresAt) })}</p>
+          <button onClick={handleClearIncoming} style={{ background: theme.surface, color: theme.text, border: `1px solid ${theme.border}`, padding: "8px 12px", borderRadius: 6 }}>{t("common.close")}</button>
+        </div>
+      );
+    }
+    const sentToKey = Boolean(incomingMeta && incomingMeta.kdf.id === KDF_ECDH_P256);
     return (
-      <div style={{ fontFamily: "system-ui, -apple-system, 'Segoe UI', Roboto, Arial", padding: 24, maxWidth: 720, margin: "24px auto" }}>
-        <h1 style={{ marginTop: 0 }}>BurnZip — Encrypted payload</h1>
-        <p>Enter the 10-character code you received to decrypt and download the file or message.</p>
+      <div style={{ fontFamily: theme.font, color: theme.text, padding: 24, maxWidth: 720, margin: "24px auto" }}>
+        <div style={{ float: "inline-end" }}><LanguageSwitcher /></div>
+        <h1 style={{ marginTop: 0 }}>{t("recipient.title")}</h1>
+        <p>{sentToKey ? t("recipient.introKey") : t("recipient.introCode")}</p>
 
-        {pasteWarning && <div style={{ color: "crimson", marginBottom: 12 }}>{pasteWarning}</div>}
+        {notice && <Notice notice={notice} onDismiss={() => setNotice(null)} />}
+        {!incomingShare && !notice && <div style={{ color: theme.muted, marginBottom: 12 }}>{t("recipient.fetching")}</div>}
+        {sender && <SenderBadge key={sender.keyId ? sender.fingerprint : "unsigned"} sender={sender} onPin={handlePinSender} onUnpin={handleUnpinSender} />}
+        {incomingMeta && (incomingMeta.expiresAt || incomingMeta.maxOpens) && (
+          <div style={{ color: theme.muted, fontSize: 13, marginBottom: 12 }}>
+            {incomingMeta.expiresAt ? t("recipient.expires", { date: formatDate(incomingMeta.expiresAt) }) : t("recipient.neverExpires")}
+            {incomingMeta.maxOpens ? ` · ${t("recipient.opens", { count: incomingMeta.maxOpens })}` : ""}
+          </div>
+        )}
 
-        <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
-          <input value={incomingCode} onChange={(e) => setIncomingCode(e.target.value.toUpperCase())} maxLength={10} placeholder="Enter 10-character code" style={{ flex: 1, padding: 10, borderRadius: 6, border: "1px solid #ddd" }} />
-          <button onClick={() => handleDownloadFromShare(incomingShare)} disabled={busy} style={{ padding: "10px 14px", borderRadius: 6, background: "#0b63d8", color: "#fff", border: "none" }}>{busy ? "Working…" : "Decrypt & Download"}</button>
+        <div style={{ display: "flex", gap: 8, marginBottom: 12, alignItems: "center" }}>
+          {sentToKey ? (
+            <div style={{ flex: 1, fontSize: 14 }}>
+              {incomingKey && incomingKey.missing
+                ? <span style={{ color: theme.danger }}>{t("recipient.keyMissing")}</span>
+                : <span>{t("recipient.sentToKey", { fingerprint: <code dir="ltr">{keyFingerprint(incomingMeta.kdf.recipientKeyId)}</code> })}</span>}
+            </div>
+          ) : codeShares ? (
+            <>
+              <input value={shareInput} onChange={(e) => setShareInput(e.target.value)} onKeyDown={(e) => e.key === "Enter" && shareInput && handleAddCodeShare()} placeholder={t("recipient.sharePlaceholder")} aria-label={t("recipient.sharePlaceholder")} dir="ltr" style={{ flex: 1, padding: 10, borderRadius: 6, border: `1px solid ${theme.border}` }} />
+              <button onClick={handleAddCodeShare} disabled={!shareInput} style={{ padding: "10px 14px", borderRadius: 6 }}>{t("recipient.addShare")}</button>
+            </>
+          ) : (
+            <input value={incomingCode} onChange={(e) => handleIncomingCodeChange(e.target.value)} placeholder={t("recipient.codePlaceholder")} aria-label={t("recipient.codeLabel")} dir="ltr" aria-invalid={codeAttempts > 0 && Boolean(notice && notice.kind === "error")} style={{ flex: 1, padding: 10, borderRadius: 6, border: `1px solid ${theme.border}` }} />
+          )}
+          <button onClick={() => handleDownloadFromShare(incomingShare)} disabled={busy || !incomingShare || Boolean(notice && notice.blocking) || (sentToKey && !(incomingKey && incomingKey.privateKey)) || Boolean(codeShares && !incomingCode)} style={{ padding: "10px 14px", borderRadius: 6, background: theme.accent, color: theme.onAccent, border: "none" }}>{busy ? t("recipient.working") : t("recipient.decrypt")}</button>
         </div>
 
-        {decryptedPreview && <div style={{ background: "#f8f8f8", padding: 10, borderRadius: 6, whiteSpace: "pre-wrap", marginBottom: 8, maxHeight: 260, overflow: "auto" }}>{decryptedPreview}</div>}
+        {!sentToKey && (
+          <div style={{ fontSize: 13, color: theme.label, marginTop: -4, marginBottom: 12 }}>
+            {codeShares && codeShares.length > 0 && (
+              <span>{incomingCode ? t("recipient.sharesComplete") : t("recipient.sharesCollected", { collected: codeShares.length, threshold: codeShares[0].threshold })} </span>
+            )}
+            <button onClick={() => handleUseCodeShares(!codeShares)} style={{ background: "none", border: "none", color: theme.accent, textDecoration: "underline", cursor: "pointer", padding: 0, fontSize: 13 }}>{codeShares ? t("recipient.useCode") : t("recipient.useShares")}</button>
+          </div>
+        )}
+
+        {progress && <ProgressBar progress={progress} onCancel={cancelRef.current ? handleCancel : null} />}
+
+        {previewItem && (
+          <Suspense fallback={<div style={{ color: theme.muted, marginBottom: 8 }}>{t("recipient.loadingPreview")}</div>}>
+            {bundleEntries && <div style={{ fontSize: 13, color: theme.label, marginBottom: 4 }}>{t("recipient.previewing", { filename: previewItem.filename })}</div>}
+            <Preview blob={previewItem.blob} mime={previewItem.mime} filename={previewItem.filename} />
+          </Suspense>
+        )}
 
         {downloadReady && (
           <div style={{ marginTop: 8 }}>
-            <div><strong>Ready:</strong> {downloadReady.filename} ({Math.round(downloadReady.size / 1024)} KB)</div>
+            <div><strong>{t("recipient.ready")}</strong> {downloadReady.filename} ({formatSize(downloadReady.size)})</div>
+            {bundleEntries && (
+              <div style={{ marginTop: 8, border: `1px solid ${theme.border}`, borderRadius: 6, padding: 10, maxHeight: 320, overflow: "auto" }}>
+                <FileTree node={buildFileTree(bundleEntries)} onDownload={downloadBundleEntry} onPreview={previewBundleEntry} />
+              </div>
+            )}
             <div style={{ marginTop: 8 }}>
-              <a href={downloadReady.url} download={downloadReady.filename} style={{ padding: "8px 12px", background: "#0b63d8", color: "#fff", borderRadius: 6, textDecoration: "none" }}>Download decrypted file</a>
+              {downloadReady.url ? (
+                <a href={downloadReady.url} download={downloadReady.filename} style={{ padding: "8px 12px", background: theme.accent, color: theme.onAccent, borderRadius: 6, textDecoration: "none" }}>{bundleEntries ? t("recipient.downloadAll") : t("recipient.downloadFile")}</a>
+              ) : (
+                <span style={{ color: theme.label }}>{t("recipient.savedToDisk")}</span>
+              )}
             </div>
             <div style={{ marginTop: 10 }}>
-              <button onClick={handleClearIncoming} style={{ background: "#fff", border: "1px solid #ddd", padding: "8px 12px", borderRadius: 6 }}>Close</button>
+              <button onClick={handleClearIncoming} style={{ background: theme.surface, color: theme.text, border: `1px solid ${theme.border}`, padding: "8px 12px", borderRadius: 6 }}>{t("common.close")}</button>
             </div>
           </div>
         )}
 
-        <div style={{ marginTop: 18, color: "#666", fontSize: 13 }}>
-          Tip: This page only asks for the code. The encrypted payload is included in the link you were sent; the server does not see your code.
+        <div style={{ marginTop: 18, color: theme.muted, fontSize: 13 }}>
+          {incomingShortId ? t("recipient.tipStored") : t("recipient.tipEmbedded")}
         </div>
       </div>
     );
   }
 
   // Otherwise render full landing + uploader
+  const codeBits = estimateEntropyBits(code, generatedWith);
+  const codeStrength = describeStrength(codeBits);
+  const uploaderPanel = (
+    <div style={embedConfig ? { background: theme.surface, padding: 18 } : { background: theme.surface, padding: 18, borderRadius: 10, width: 560, maxWidth: "94%", boxShadow: "0 8px 30px rgba(0,0,0,0.25)" }}>
+      <h3 style={{ margin: "0 0 8px 0" }}>{t("uploader.title")}</h3>
+
+      <div style={{ display: "flex", gap: 12, marginBottom: 8 }}>
+        <button onClick={() => setMode("file")} style={{ flex: 1, padding: 8, background: mode === "file" ? theme.accent : theme.subtle, color: mode === "file" ? theme.onAccent : theme.text, border: "none", borderRadius: 6 }}>{t("uploader.file")}</button>
+        <button onClick={() => setMode("message")} style={{ flex: 1, padding: 8, background: mode === "message" ? theme.accent : theme.subtle, color: mode === "message" ? theme.onAccent : theme.text, border: "none", borderRadius: 6 }}>{t("uploader.message")}</button>
+      </div>
+
+      {mode === "file" ? (
+        <div
+          onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+          onDragLeave={() => setDragActive(false)}
+          onDrop={handleDrop}
+          style={{ border: `2px dashed ${dragActive ? theme.accent : theme.border}`, borderRadius: 8, padding: 14, marginBottom: 10, textAlign: "center", color: theme.label }}
+        >
+          <div>{t("uploader.drop")}</div>
+          <div style={{ display: "flex", gap: 8, justifyContent: "center", marginTop: 8 }}>
+            <button onClick={() => fileInputRef.current && fileInputRef.current.click()} style={{ padding: "6px 10px", borderRadius: 6 }}>{t("uploader.chooseFiles")}</button>
+            <button onClick={() => folderInputRef.current && folderInputRef.current.click()} style={{ padding: "6px 10px", borderRadius: 6 }}>{t("uploader.chooseFolder")}</button>
+          </div>
+          <input ref={fileInputRef} type="file" multiple hidden onChange={(e) => setSelection(filesFromInput(e.target.files))} />
+          <input ref={folderInputRef} type="file" webkitdirectory="" hidden onChange={(e) => setSelection(filesFromInput(e.target.files))} />
+          {selection.length > 0 && <div style={{ marginTop: 8, fontSize: 13, color: theme.label }}>{t("uploader.selected", { selection: describeSelection(summarizeSelection(selection)) })}</div>}
+        </div>
+      ) : (
+        <textarea value={message} onChange={(e) => setMessage(e.target.value)} placeholder={t("uploader.messagePlaceholder")} rows={4} style={{ width: "100%", marginBottom: 10 }} />
+      )}
+
+      {requestKey ? (
+        <div style={{ background: theme.infoSurface, border: `1px solid ${theme.infoBorder}`, borderRadius: 6, padding: 10, marginBottom: 12, fontSize: 13, color: theme.label }}>
+          <div>{t("uploader.requestBanner", { fingerprint: <code dir="ltr">{requestKey.fingerprint}</code> })}</div>
+          <div style={{ marginTop: 4 }}>{t("uploader.requestNote")}</div>
+          <button onClick={() => setRequestKey(null)} style={{ marginTop: 6, padding: "4px 10px", borderRadius: 6 }}>{t("uploader.useCode")}</button>
+        </div>
+      ) : (
+        <>
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 12 }}>
+          <label style={{ fontSize: 13, color: theme.label }}>{t("uploader.code")}</label>
+          <input value={code} onChange={(e) => setCode(e.target.value.toUpperCase())} aria-label={t("uploader.code")} dir="ltr" style={{ flex: 1, padding: 8, borderRadius: 6, border: `1px solid ${theme.border}` }} />
+          <button onClick={() => regenerateCode()} style={{ padding: "8px 10px", borderRadius: 6 }}>{t("uploader.newCode")}</button>
+        </div>
+
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8, fontSize: 13, color: theme.label, flexWrap: "wrap" }}>
+          <select value={codeOptions.alphabet} onChange={(e) => handleCodeOptionsChange({ alphabet: e.target.value })} style={{ padding: 6, borderRadius: 6 }}>
+            {Object.keys(CODE_ALPHABETS).map((name) => <option key={name} value={name}>{t(`alphabet.${name}`)}</option>)}
+          </select>
+          {codeOptions.alphabet === "diceware" ? (
+            <label>{t("uploader.words")} <input type="number" min={4} max={12} value={codeOptions.words} onChange={(e) => handleCodeOptionsChange({ words: Math.min(12, Math.max(4, Number(e.target.value) || 4)) })} style={{ width: 52, padding: 4 }} /></label>
+          ) : (
+            <label>{t("uploader.length")} <input type="number" min={MIN_CODE_LENGTH} max={64} value={codeOptions.length} onChange={(e) => handleCodeOptionsChange({ length: Math.min(64, Math.max(MIN_CODE_LENGTH, Number(e.target.value) || MIN_CODE_LENGTH)) })} style={{ width: 52, padding: 4 }} /></label>
+          )}
+        </div>
+
+        <div style={{ marginBottom: 10 }}>
+          <div style={{ height: 6, background: theme.subtle, borderRadius: 3, overflow: "hidden" }}>
+            <div style={{ width: `${Math.min(100, (codeBits / 128) * 100)}%`, height: "100%", background: theme[codeStrength.tone] }} />
+          </div>
+          <div style={{ fontSize: 12, color: theme[codeStrength.tone], marginTop: 4 }}>{t("uploader.entropy", { strength: t(`strength.${codeStrength.id}`), bits: Math.round(codeBits) })}</div>
+        </div>
+
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 12, fontSize: 13, color: theme.label, flexWrap: "wrap" }}>
+          <label>{t("uploader.kdf")}</label>
+          <select value={kdfPresetName(kdf)} onChange={(e) => setKdf(KDF_PRESETS[e.target.value])} style={{ padding: 6, borderRadius: 6 }}>
+            <option value="pbkdf2">PBKDF2-SHA256</option>
+            <option value="argon2id">{t("uploader.kdfArgon2id")}</option>
+            <option value="scrypt">{t("uploader.kdfScrypt")}</option>
+          </select>
+          {kdf.id === KDF_PBKDF2_SHA256 && (
+            <label>{t("uploader.iterations")} <input type="number" min={100000} step={50000} value={kdf.iterations} onChange={(e) => setKdf({ ...kdf, iterations: Number(e.target.value) || KDF_PRESETS.pbkdf2.iterations })} style={{ width: 90, padding: 4 }} /></label>
+          )}
+          {kdf.id === KDF_ARGON2ID && (
+            <>
+              <label>{t("uploader.memory")} <input type="number" min={8} max={1024} value={kdf.memory / 1024} onChange={(e) => setKdf({ ...kdf, memory: (Number(e.target.value) || 64) * 1024 })} style={{ width: 60, padding: 4 }} /></label>
+              <label>{t("uploader.passes")} <input type="number" min={1} max={20} value={kdf.iterations} onChange={(e) => setKdf({ ...kdf, iterations: Number(e.target.value) || 3 })} style={{ width: 48, padding: 4 }} /></label>
+            </>
+          )}
+          {kdf.id === KDF_SCRYPT && (
+            <label>{t("uploader.cost")}<input type="number" min={10} max={20} value={Math.log2(kdf.n)} onChange={(e) => setKdf({ ...kdf, n: 2 ** (Number(e.target.value) || 15) })} style={{ width: 48, padding: 4 }} /></label>
+          )}
+        </div>
+
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 12, fontSize: 13, color: theme.label, flexWrap: "wrap" }}>
+            <label><input type="checkbox" checked={Boolean(codeSplit)} onChange={(e) => setCodeSplit(e.target.checked ? DEFAULT_CODE_SPLIT : null)} /> {t("uploader.split")}</label>
+            {codeSplit && (
+              <span>{t("uploader.splitOf", {
+                threshold: <input type="number" min={2} max={codeSplit.count} value={codeSplit.threshold} onChange={(e) => handleCodeSplitChange({ threshold: Math.max(2, Number(e.target.value) || 2) })} aria-label={t("uploader.splitThreshold")} style={{ width: 44, padding: 4 }} />,
+                count: <input type="number" min={2} max={MAX_CODE_SHARES} value={codeSplit.count} onChange={(e) => handleCodeSplitChange({ count: Math.min(MAX_CODE_SHARES, Math.max(2, Number(e.target.value) || 2)) })} aria-label={t("uploader.splitCount")} style={{ width: 44, padding: 4 }} />,
+              })}</span>
+            )}
+          </div>
+
+          <input onChange={(e) => handleRequestLinkPaste(e.target.value)} placeholder={t("uploader.pasteRequest")} dir="ltr" style={{ width: "100%", boxSizing: "border-box", padding: 8, marginBottom: 12, borderRadius: 6, border: `1px solid ${theme.border}`, fontSize: 13 }} />
+        </>
+      )}
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 12, fontSize: 13, color: theme.label, flexWrap: "wrap" }}>
+        <label>{t("uploader.expiresAfter")} <select value={expiryMs} onChange={(e) => setExpiryMs(Number(e.target.value))} style={{ padding: 6, borderRadius: 6 }}>
+          {EXPIRY_OPTIONS.map((o) => <option key={o.ms} value={o.ms}>{o.count ? t(`expiry.${o.unit}`, { count: o.count }) : t("expiry.never")}</option>)}
+        </select></label>
+        <label>{t("uploader.maxOpens")} <select value={maxOpens} onChange={(e) => setMaxOpens(Number(e.target.value))} style={{ padding: 6, borderRadius: 6 }}>
+          {MAX_OPEN_OPTIONS.map((n) => <option key={n} value={n}>{n ? t("common.count", { count: n }) : t("uploader.unlimited")}</option>)}
+        </select></label>
+        <label>{t("uploader.recipientLanguage")} <select value={linkLocale} onChange={(e) => setLinkLocale(e.target.value)} style={{ padding: 6, borderRadius: 6 }}>
+          <option value="">{t("uploader.recipientLanguageAuto")}</option>
+          {Object.entries(LOCALES).map(([id, l]) => <option key={id} value={id} lang={id}>{l.name}</option>)}
+        </select></label>
+        {isCompressionSupported() && (
+          <label><input type="checkbox" checked={compress} onChange={(e) => setCompress(e.target.checked)} /> {t("uploader.compress")}</label>
+        )}
+        <label><input type="checkbox" checked={signAsSender} onChange={(e) => handleSignToggle(e.target.checked)} /> {t("uploader.sign")}</label>
+        {maxOpens > 0 && !getStorageClient() && <span style={{ color: theme.muted }}>{t("uploader.noStoreOpens")}</span>}
+      </div>
+
+      {signAsSender && senderIdentity && (
+        <div style={{ fontSize: 13, color: theme.label, marginBottom: 8 }}>{t("uploader.signFingerprint", { fingerprint: <code dir="ltr">{senderIdentity.fingerprint}</code> })}</div>
+      )}
+
+      {projectedSize != null && (
+        <div style={{ fontSize: 13, marginBottom: 8, color: projectedSize > MAX_EMBED_BYTES ? theme.warning : theme.label }}>
+          {t("uploader.projected", { size: formatSize(projectedSize), limit: formatSize(MAX_EMBED_BYTES), chars: t("common.count", { count: embeddedLinkLength(projectedSize, shareAppUrl()) }) })}
+          {projectedSize > MAX_EMBED_BYTES && ` ${getStorageClient() ? t("uploader.projectedStored") : t("uploader.projectedNoStore")}`}
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 6 }}>
+        {!embedConfig && <button onClick={() => { setUploaderOpen(false); setPreview(null); setShareUrl(null); }} style={{ background: theme.surface, color: theme.text, border: `1px solid ${theme.border}`, padding: "8px 12px", borderRadius: 8 }}>{t("common.close")}</button>}
+        <button onClick={handlePrepareAndGenerateLink} disabled={busy} style={{ background: theme.accent, color: theme.onAccent, border: "none", padding: "8px 12px", borderRadius: 8 }}>{busy ? t("uploader.preparing") : t("uploader.prepare")}</button>
+      </div>
+
+      {progress && <ProgressBar progress={progress} onCancel={handleCancel} />}
+      {preview && <div style={{ marginTop: 12, color: theme.label }}><strong>{t("uploader.previewLabel")}</strong> {t("uploader.encryptedSummary", { filename: preview.filename, size: formatSize(preview.size) })}</div>}
+      {notice && <Notice notice={notice} onDismiss={() => setNotice(null)} />}
+
+      {shareUrl && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <div><strong>{t("uploader.linkGenerated")}</strong></div>
+            <div style={{ color: theme.muted, fontSize: 13 }}>
+              {formatSize(shareUrl.size)}{shareUrl.shortId ? ` · ${t("uploader.storedById")}` : ""}
+              {shareUrl.expiresAt ? ` · ${t("uploader.expires", { date: formatDate(shareUrl.expiresAt) })}` : ""}
+            </div>
+          </div>
+
+          <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
+            <input ref={copyInputRef} value={shareUrl.url} readOnly dir="ltr" style={{ flex: 1, padding: 8, borderRadius: 6, border: `1px solid ${theme.border}`, wordBreak: "break-all" }} onFocus={(e) => e.target.select()} />
+            <button onClick={copyShareInput} style={{ padding: "8px 12px", borderRadius: 6, background: theme.accent, color: theme.onAccent, border: "none" }}>{t("common.copy")}</button>
+          </div>
+
+          {copyToast && <div role="status" style={{ marginTop: 8, color: theme.accent }}>{t(copyToast)}</div>}
+
+          <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
+            <button onClick={() => setQrView(qrView === "link" ? null : "link")} style={{ padding: "6px 10px", borderRadius: 6 }}>{qrView === "link" ? t("uploader.hideLinkQr") : t("uploader.showLinkQr")}</button>
+            {shareUrl.code && <button onClick={() => setQrView(qrView === "code" ? null : "code")} style={{ padding: "6px 10px", borderRadius: 6 }}>{qrView === "code" ? t("uploader.hideCodeQr") : t("uploader.showCodeQr")}</button>}
+          </div>
+          {qrView === "link" && (
+            <div style={{ marginTop: 8 }}>
+              {shareUrl.qrFrames ? <QrFrameLoop frames={shareUrl.qrFrames} /> : <QrBox value={shareUrl.url} />}
+              {shareUrl.qrFrames && <div style={{ fontSize: 13, color: theme.label, marginTop: 4 }}>{t("uploader.framesHint")}</div>}
+            </div>
+          )}
+          {qrView === "code" && shareUrl.code && (
+            <div style={{ marginTop: 8 }}>
+              <QrBox value={shareUrl.code} />
+              <div style={{ fontSize: 13, color: theme.label, marginTop: 4 }}>{t("uploader.codeQrHint")}</div>
+            </div>
+          )}
+          {shareUrl.shares && shareUrl.shares.map((token, i) => <CodeShareItem key={token} token={token} index={i + 1} count={shareUrl.shares.length} />)}
+
+          <div style={{ marginTop: 8, fontSize: 13, color: theme.label }}>
+            {shareUrl.shares ? t("uploader.shareWithShares", { threshold: shareUrl.threshold }) : shareUrl.code ? t("uploader.shareWithCode") : t("uploader.shareToRequester")}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
+  if (embedConfig) {
+    return (
+      <div style={{ fontFamily: theme.font, color: theme.text }}>
+        {embedConfig.view === "send" ? uploaderPanel : <p style={{ margin: 16, color: theme.muted }}>{t("embed.waiting")}</p>}
+      </div>
+    );
+  }
+
   return (
-    <div style={{ fontFamily: "system-ui, -apple-system, 'Segoe UI', Roboto, Arial", color: "#111", padding: 20, maxWidth: 980, margin: "18px auto" }}>
+    <div style={{ fontFamily: theme.font, color: theme.text, padding: 20, maxWidth: 980, margin: "18px auto" }}>
       <header style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16 }}>
         <div>
-          <h1 style={{ margin: 0, fontSize: 28, display: "flex", alignItems: "center", gap: 8 }}><span style={{ fontSize: 20 }}>🔐</span><span>Welcome to BurnZip</span></h1>
-          <p style={{ margin: "6px 0 0 0", color: "#444", maxWidth: 720 }}>No login. No tracking metadata. No logs. No storage. No footprint. Just trust.</p>
+          <h1 style={{ margin: 0, fontSize: 28, display: "flex", alignItems: "center", gap: 8 }}><span style={{ fontSize: 20 }}>🔐</span><span>{t("landing.title")}</span></h1>
+          <p style={{ margin: "6px 0 0 0", color: "#444", maxWidth: 720 }}>{t("landing.tagline")}</p>
         </div>
-        <div style={{ textAlign: "right" }}>
-          <button onClick={openUploader} style={{ backgroundColor: "#0b63d8", color: "#fff", border: "none", padding: "10px 14px", borderRadius: 8, cursor: "pointer", fontWeight: 600 }}>Get Started</button>
+        <div style={{ textAlign: "end", display: "flex", gap: 8, alignItems: "center" }}>
+          <LanguageSwitcher />
+          <button onClick={() => setRequestOpen(true)} style={{ background: "#fff", border: "1px solid #ddd", padding: "10px 14px", borderRadius: 8, cursor: "pointer" }}>{t("landing.requestFile")}</button>
+          <button onClick={() => setImportOpen(true)} style={{ background: "#fff", border: "1px solid #ddd", padding: "10px 14px", borderRadius: 8, cursor: "pointer" }}>{t("landing.openFromQr")}</button>
+          <button onClick={() => openUploader()} style={{ backgroundColor: theme.accent, color: theme.onAccent, border: "none", padding: "10px 14px", borderRadius: 8, cursor: "pointer", fontWeight: 600 }}>{t("landing.getStarted")}</button>
         </div>
       </header>
 
       <main style={{ marginTop: 18 }}>
-        <p style={{ fontSize: 16, color: "#222" }}>A privacy-first, SaaS framework that leverages modular AI to facilitate encrypted file sharing — without compromising user autonomy.</p>
+        <p style={{ fontSize: 16, color: "#222" }}>{t("landing.intro")}</p>
 
         <div style={{ display: "flex", gap: 18, marginTop: 22, flexWrap: "wrap" }}>
           <div style={{ flex: "1 1 320px" }}>
-            <Section title="✅ What’s Stored">
-              <div><strong>Encrypted file blobs, never raw data.</strong> Stored short-lived cache. Auto-deletes after expiry 24 hours or download.</div>
+            <Section title={t("landing.storedTitle")}>
+              <div><strong>{t("landing.storedLead")}</strong> {t("landing.storedBody")}</div>
             </Section>
-            <Section title="🧠 Where It’s Stored">
-              <div>No persistent disk storage. No database footprint. On third-party infrastructure you control. Short-lived caches only.</div>
+            <Section title={t("landing.whereTitle")}>
+              <div>{t("landing.whereBody")}</div>
             </Section>
-            <Section title="Quick Start">
-              <div>Click <strong>Get Started</strong> to open the uploader. Choose "File" or "Message", enter a 10-character alphanumeric code, then click Prepare. Share the generated link and code. Auto-deletes after expiry 24 hours or download.</div>
+            <Section title={t("landing.quickStartTitle")}>
+              <div>{t("landing.quickStartBody", { getStarted: <strong>{t("landing.getStarted")}</strong> })}</div>
             </Section>
           </div>
 
           <div style={{ flex: "0 1 320px" }}>
-            <Section title="Save to your home screen"><div><strong>iOS</strong> — Tap the share icon, select "Add to Homescreen"<br/><strong>Android</strong> — Tap the three dot menu, select "Add to homescreen"</div></Section>
-            <Section title="Security Notes"><div>All encryption is performed client-side before upload. Keep your 10-character code safe; BurnZip cannot recover it for you.</div></Section>
+            <Section title={t("landing.homeScreenTitle")}><div><strong>iOS</strong> — {t("landing.homeScreenIos")}<br/><strong>Android</strong> — {t("landing.homeScreenAndroid")}<br/>{t("landing.homeScreenOffline")}</div></Section>
+            <Section title={t("landing.securityTitle")}><div>{t("landing.securityBody")}</div></Section>
           </div>
         </div>
 
         <hr style={{ margin: "26px 0" }} />
 
-        <Section title="Privacy Policy">
+        <Section title={t("landing.privacyTitle")}>
           <ol style={{ color: "#333" }}>
-            <li><strong>No Accounts, No Tracking</strong> — BurnZip does not require user accounts, logins, or personal identifiers.</li>
-            <li><strong>Client-Side Encryption</strong> — Files are encrypted locally before transfer. BurnZip servers never see plaintext content.</li>
-            <li><strong>Temporary Metadata</strong> — Non-identifiable metadata may be used to facilitate delivery and deleted automatically.</li>
-            <li><strong>No Cookies or Analytics</strong> — BurnZip does not use cookies or trackers.</li>
+            {["Accounts", "Encryption", "Metadata", "Cookies"].map((item) => (
+              <li key={item}><strong>{t(`landing.privacy${item}Title`)}</strong> — {t(`landing.privacy${item}Body`)}</li>
+            ))}
           </ol>
         </Section>
 
-        <Section title="Contact"><div>Email: <a href="mailto:burnzip33@gmail.com">burnzip33@gmail.com</a></div></Section>
+        <Section title={t("landing.contactTitle")}><div>{t("landing.contactEmail")} <a href="mailto:burnzip33@gmail.com">burnzip33@gmail.com</a></div></Section>
       </main>
 
-      <footer style={{ marginTop: 28, color: "#666", fontSize: 13 }}>© {new Date().getFullYear()} BurnZip</footer>
-
-      {uploaderOpen && (
-        <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.45)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 9999 }}>
-          <div style={{ background: "#fff", padding: 18, borderRadius: 10, width: 560, maxWidth: "94%", boxShadow: "0 8px 30px rgba(0,0,0,0.25)" }}>
-            <h3 style={{ margin: "0 0 8px 0" }}>Prepare upload</h3>
-
-            <div style={{ display: "flex", gap: 12, marginBottom: 8 }}>
-              <button onClick={() => setMode("file")} style={{ flex: 1, padding: 8, background: mode === "file" ? "#0b63d8" : "#f2f4f7", color: mode === "file" ? "#fff" : "#111", border: "none", borderRadius: 6 }}>File</button>
-              <button onClick={() => setMode("message")} style={{ flex: 1, padding: 8, background: mode === "message" ? "#0b63d8" : "#f2f4f7", color: mode === "message" ? "#fff" : "#111", border: "none", borderRadius: 6 }}>Message</button>
-            </div>
-
-            {mode === "file" ? (
-              <input ref={fileInputRef} type="file" style={{ display: "block", marginBottom: 10 }} />
-            ) : (
-              <textarea value={message} onChange={(e) => setMessage(e.target.value)} placeholder="Type a short message" rows={4} style={{ width: "100%", marginBottom: 10 }} />
-            )}
-
-            <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 12 }}>
-              <label style={{ fontSize: 13, color: "#333" }}>10-character code</label>
-              <input value={code} onChange={(e) => setCode(e.target.value.toUpperCase())} maxLength={10} style={{ flex: 1, padding: 8, borderRadius: 6, border: "1px solid #ddd" }} />
-              <button onClick={() => setCode(randomExampleCode())} style={{ padding: "8px 10px", borderRadius: 6 }}>New</button>
-            </div>
-
-            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", marginTop: 6 }}>
-              <button onClick={() => { setUploaderOpen(false); setPreview(null); setShareUrl(null); }} style={{ background: "#fff", border: "1px solid #ddd", padding: "8px 12px", borderRadius: 8 }}>Close</button>
-              <button onClick={handlePrepareAndGenerateLink} disabled={busy} style={{ background: "#0b63d8", color: "#fff", border: "none", padding: "8px 12px", borderRadius: 8 }}>{busy ? "Preparing…" : "Prepare"}</button>
-            </div>
-
-            {preview && <div style={{ marginTop: 12, color: "#333" }}><strong>Preview:</strong> {preview}</div>}
-            {pasteWarning && <div style={{ marginTop: 10, color: "crimson" }}>{pasteWarning}</div>}
+      <footer style={{ marginTop: 28, color: theme.muted, fontSize: 13 }}>© {new Date().getFullYear()} BurnZip</footer>
 
-            {shareUrl && (
-              <div style={{ marginTop: 12 }}>
-                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-                  <div><strong>Share link generated</strong></div>
-                  <div style={{ color: "#666", fontSize: 13 }}>{Math.round(shareUrl.size / 1024)} KB</div>
-                </div>
-
-                <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
-                  <input ref={copyInputRef} value={shareUrl.url} readOnly style={{ flex: 1, padding: 8, borderRadius: 6, border: "1px solid #ddd", wordBreak: "break-all" }} onFocus={(e) => e.target.select()} />
-                  <button onClick={copyShareInput} style={{ padding: "8px 12px", borderRadius: 6, background: "#0b63d8", color: "#fff", border: "none" }}>Copy</button>
-                </div>
+      {importOpen && (
+        <QrImport
+          onResult={(fragment) => {
+            setImportOpen(false);
+            loadShareFragment(fragment);
+          }}
+          onClose={() => setImportOpen(false)}
+        />
+      )}
 
-                {copyToast && <div style={{ marginTop: 8, color: "#0b63d8" }}>{copyToast}</div>}
+      {requestOpen && <RequestFile onClose={() => setRequestOpen(false)} />}
 
-                <div style={{ marginTop: 8, fontSize: 13, color: "#444" }}>Share this link and the 10-character code with the recipient. The recipient only needs the code to decrypt.</div>
-              </div>
-            )}
-          </div>
+      {uploaderOpen && (
+        <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.45)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 9999 }}>
+          {uploaderPanel}
         </div>
       )}
     </div>
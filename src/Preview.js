@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from "react";
+import ReactMarkdown from "react-markdown";
+import { Highlight, themes } from "prism-react-renderer";
+import { previewKind, codeLanguage } from "./mime";
+import { useI18n } from "./i18n";
+import { theme } from "./theme";
+
+/**
+ * In-page preview of a decrypted file, so a secret can be read without saving
+ * it to disk. Nothing from the payload runs as script: text, Markdown and code
+ * become React elements (raw HTML in Markdown is dropped), SVG is shown as its
+ * source, and media/PDF object URLs are revoked when the preview goes away.
+ * Only those media URLs are typed, and only with raster image, audio, video or
+ * PDF types: a URL opened in a new tab must not load as a document that runs
+ * the sender's script in this origin. The blob itself comes in as
+ * application/octet-stream.
+ */
+
+const MAX_TEXT_PREVIEW_BYTES = 256 * 1024;
+
+const boxStyle = { backgroundColor: theme.codeSurface, color: theme.text, padding: 10, borderRadius: 6, marginBottom: 8, maxHeight: 360, overflow: "auto" };
+
+// remote images would tell a third party the secret was opened; show the alt text instead
+function MarkdownImage({ alt, src }) {
+  const { t } = useI18n();
+  return <span style={{ color: theme.muted }}>{t("preview.image", { alt: alt || src })}</span>;
+}
+
+const markdownComponents = {
+  a: ({ node, children, ...props }) => (
+    <a {...props} target="_blank" rel="noopener noreferrer nofollow">
+      {children}
+    </a>
+  ),
+  img: MarkdownImage,
+};
+
+// type: image/*, audio/*, video/* or application/pdf, see previewKind
+function useObjectUrl(blob, type) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!blob) return undefined;
+    const typed = type && blob.type !== type ? new Blob([blob], { type }) : blob;
+    const next = URL.createObjectURL(typed);
+    setUrl(next);
+    return () => {
+      URL.revokeObjectURL(next);
+      setUrl(null);
+    };
+  }, [blob, type]);
+  return url;
+}
+
+function useBlobText(blob, enabled) {
+  const [text, setText] = useState(null);
+  useEffect(() => {
+    if (!blob || !enabled) return undefined;
+    let stale = false;
+    blob
+      .slice(0, MAX_TEXT_PREVIEW_BYTES)
+      .arrayBuffer()
+      .then((buf) => {
+        if (!stale) setText(new TextDecoder().decode(buf));
+      });
+    return () => {
+      stale = true;
+      setText(null);
+    };
+  }, [blob, enabled]);
+  return text;
+}
+
+export default function Preview({ blob, mime, filename }) {
+  const { t, formatSize } = useI18n();
+  const kind = previewKind(mime, filename);
+  const isText = kind === "markdown" || kind === "code" || kind === "text";
+  const isMedia = kind === "image" || kind === "pdf" || kind === "audio" || kind === "video";
+  const url = useObjectUrl(isMedia ? blob : null, kind === "pdf" ? "application/pdf" : mime);
+  const text = useBlobText(blob, isText);
+
+  if (!kind) return null;
+  const truncated = isText && blob.size > MAX_TEXT_PREVIEW_BYTES;
+
+  let body = null;
+  if (kind === "image" && url) {
+    body = <img src={url} alt={filename} style={{ maxWidth: "100%", maxHeight: 480, display: "block", margin: "0 auto" }} />;
+  } else if (kind === "pdf" && url) {
+    body = (
+      <object data={url} type="application/pdf" aria-label={filename} style={{ width: "100%", height: 480, border: "none" }}>
+        <div style={{ color: theme.muted }}>{t("preview.noPdf")}</div>
+      </object>
+    );
+  } else if (kind === "audio" && url) {
+    body = <audio src={url} controls style={{ width: "100%" }} />;
+  } else if (kind === "video" && url) {
+    body = <video src={url} controls playsInline style={{ width: "100%", maxHeight: 480, background: "#000" }} />;
+  } else if (kind === "markdown" && text != null) {
+    body = (
+      <div style={boxStyle}>
+        <ReactMarkdown components={markdownComponents}>{text}</ReactMarkdown>
+      </div>
+    );
+  } else if (kind === "code" && text != null) {
+    body = (
+      <Highlight theme={themes.github} code={text} language={codeLanguage(filename)}>
+        {({ style, tokens, getLineProps, getTokenProps }) => (
+          <pre style={{ ...style, ...boxStyle, fontSize: 13, margin: "0 0 8px 0" }}>
+            {tokens.map((line, i) => (
+              <div key={i} {...getLineProps({ line })}>
+                {line.map((token, j) => (
+                  <span key={j} {...getTokenProps({ token })} />
+                ))}
+              </div>
+            ))}
+          </pre>
+        )}
+      </Highlight>
+    );
+  } else if (kind === "text" && text != null) {
+    body = <div style={{ ...boxStyle, whiteSpace: "pre-wrap", wordBreak: "break-word" }}>{text}</div>;
+  }
+
+  return (
+    <div style={{ marginBottom: 8 }}>
+      {body}
+      {truncated && <div style={{ color: theme.muted, fontSize: 13 }}>{t("preview.truncated", { size: formatSize(MAX_TEXT_PREVIEW_BYTES) })}</div>}
+    </div>
+  );
+}
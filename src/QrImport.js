@@ -0,0 +1,110 @@
+import React, { useEffect, useRef, useState } from "react";
+import { createFrameCollector, parseFrame } from "./qrFrames";
+import { decodeQrImage, startCameraScan } from "./qrScan";
+import { useI18n } from "./i18n";
+import { theme } from "./theme";
+
+/**
+ * Recipient import path: scan a link QR or a multi-frame sequence with the
+ * camera, or upload photos/screenshots of the frames. Calls onResult with a
+ * "#share:..." / "#id:..." / "#request:..." fragment once the payload is complete.
+ */
+export default function QrImport({ onResult, onClose }) {
+  const { t } = useI18n();
+  const videoRef = useRef(null);
+  const stopRef = useRef(null);
+  const collectorRef = useRef(null);
+  if (!collectorRef.current) collectorRef.current = createFrameCollector();
+  const [status, setStatus] = useState({ received: 0, total: 0, complete: false });
+  const [scanning, setScanning] = useState(false);
+  const [error, setError] = useState(null); // [catalog key, params?]
+
+  // release the camera when the dialog goes away
+  useEffect(() => () => stopRef.current && stopRef.current(), []);
+
+  function stopCamera() {
+    if (stopRef.current) stopRef.current();
+    stopRef.current = null;
+    setScanning(false);
+  }
+
+  function finish(fragment) {
+    stopCamera();
+    onResult(fragment);
+  }
+
+  async function handleText(text) {
+    const linkAt = text.search(/#(share|id|request):/);
+    if (!parseFrame(text) && linkAt !== -1) {
+      finish(text.slice(linkAt));
+      return;
+    }
+    const collector = collectorRef.current;
+    if (!collector.add(text)) return;
+    const next = collector.status();
+    setStatus(next);
+    if (next.complete) {
+      try {
+        finish(`#share:${await collector.assemble()}`);
+      } catch (e) {
+        setError(e.key ? [e.key, e.params] : ["qrImport.badChecksum"]);
+      }
+    }
+  }
+
+  async function startCamera() {
+    setError(null);
+    try {
+      stopRef.current = await startCameraScan(videoRef.current, handleText);
+      setScanning(true);
+    } catch (e) {
+      console.error("Camera failed", e);
+      setError(["qrImport.cameraUnavailable"]);
+    }
+  }
+
+  async function handleFiles(files) {
+    setError(null);
+    let misses = 0;
+    for (const file of Array.from(files || [])) {
+      try {
+        const text = await decodeQrImage(file);
+        if (text) await handleText(text);
+        else misses++;
+      } catch (e) {
+        misses++;
+      }
+    }
+    if (misses) setError(["qrImport.noQrFound", { count: misses }]);
+  }
+
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.45)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 9999 }}>
+      <div style={{ background: theme.surface, padding: 18, borderRadius: 10, width: 480, maxWidth: "94%", boxShadow: "0 8px 30px rgba(0,0,0,0.25)" }}>
+        <h3 style={{ margin: "0 0 8px 0" }}>{t("qrImport.title")}</h3>
+        <p style={{ marginTop: 0, fontSize: 14, color: "#333" }}>{t("qrImport.intro")}</p>
+
+        <video ref={videoRef} muted style={{ width: "100%", borderRadius: 8, background: "#111", display: scanning ? "block" : "none", marginBottom: 8 }} />
+
+        <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
+          {scanning ? (
+            <button onClick={stopCamera} style={{ flex: 1, padding: 8, borderRadius: 6 }}>{t("qrImport.stopCamera")}</button>
+          ) : (
+            <button onClick={startCamera} style={{ flex: 1, padding: 8, borderRadius: 6, background: theme.accent, color: theme.onAccent, border: "none" }}>{t("qrImport.scan")}</button>
+          )}
+          <label style={{ flex: 1, padding: 8, borderRadius: 6, border: "1px solid #ddd", textAlign: "center", cursor: "pointer" }}>
+            {t("qrImport.upload")}
+            <input type="file" accept="image/*" multiple hidden onChange={(e) => handleFiles(e.target.files)} />
+          </label>
+        </div>
+
+        {status.total > 0 && <div style={{ fontSize: 13, color: "#333" }}>{t("qrImport.framesReceived", { received: status.received, total: status.total })}</div>}
+        {error && <div role="alert" style={{ fontSize: 13, color: "crimson", marginTop: 6 }}>{t(...error)}</div>}
+
+        <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 12 }}>
+          <button onClick={() => { stopCamera(); onClose(); }} style={{ background: "#fff", border: "1px solid #ddd", padding: "8px 12px", borderRadius: 8 }}>{t("common.close")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
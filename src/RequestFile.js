@@ -0,0 +1,122 @@
+import React, { useCallback, useEffect, useState } from "react";
+import QRCode from "react-qr-code";
+import { generateRecipientKeyPair, requestLink, keyFingerprint } from "./core";
+import { saveRecipientKey, listRecipientKeys, deleteRecipientKey } from "./keyStore";
+import { useI18n } from "./i18n";
+import { theme } from "./theme";
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/../g).map((h) => parseInt(h, 16)));
+}
+
+function describe(record, appUrl) {
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    link: requestLink(record.publicKey, appUrl),
+    fingerprint: keyFingerprint(hexToBytes(record.id)),
+  };
+}
+
+/**
+ * "Request a file": makes a P-256 key pair, keeps the private half in this
+ * browser (IndexedDB, non-extractable) and shows a request link carrying the
+ * public half. Whoever opens the link can encrypt to it without a code; only
+ * this browser can decrypt the result.
+ */
+export default function RequestFile({ onClose }) {
+  const { t, locale } = useI18n();
+  const [keys, setKeys] = useState([]);
+  const [current, setCurrent] = useState(null); // { id, link, fingerprint }
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null); // catalog key
+
+  const appUrl = `${window.location.origin}${window.location.pathname}`;
+
+  const refresh = useCallback(async () => {
+    try {
+      const records = await listRecipientKeys();
+      setKeys(records.sort((a, b) => b.createdAt - a.createdAt).map((record) => describe(record, appUrl)));
+    } catch (e) {
+      console.error("Key store unavailable", e);
+      setError("requestFile.noKeyStore");
+    }
+  }, [appUrl]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  async function createRequest() {
+    setError(null);
+    try {
+      const record = await saveRecipientKey(await generateRecipientKeyPair());
+      setCurrent(describe(record, appUrl));
+      setCopied(false);
+      refresh();
+    } catch (e) {
+      console.error("Key generation failed", e);
+      setError("requestFile.createFailed");
+    }
+  }
+
+  async function copy(link) {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch (e) {
+      setCopied(false);
+    }
+  }
+
+  async function forget(id) {
+    await deleteRecipientKey(id);
+    if (current && current.id === id) setCurrent(null);
+    refresh();
+  }
+
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.45)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 9999 }}>
+      <div style={{ background: theme.surface, padding: 18, borderRadius: 10, width: 520, maxWidth: "94%", maxHeight: "90vh", overflow: "auto", boxShadow: "0 8px 30px rgba(0,0,0,0.25)" }}>
+        <h3 style={{ margin: "0 0 8px 0" }}>{t("requestFile.title")}</h3>
+        <p style={{ marginTop: 0, fontSize: 14, color: "#333" }}>{t("requestFile.intro")}</p>
+
+        <button onClick={createRequest} style={{ width: "100%", padding: 8, borderRadius: 6, background: theme.accent, color: theme.onAccent, border: "none" }}>{t("requestFile.create")}</button>
+
+        {current && (
+          <div style={{ marginTop: 12 }}>
+            <div style={{ display: "flex", gap: 8 }}>
+              <input value={current.link} readOnly dir="ltr" onFocus={(e) => e.target.select()} style={{ flex: 1, padding: 8, borderRadius: 6, border: "1px solid #ddd" }} />
+              <button onClick={() => copy(current.link)} style={{ padding: "8px 12px", borderRadius: 6 }}>{copied ? t("requestFile.copied") : t("common.copy")}</button>
+            </div>
+            <div style={{ fontSize: 13, color: "#444", margin: "6px 0" }}>{t("requestFile.fingerprint", { fingerprint: <code dir="ltr">{current.fingerprint}</code> })}</div>
+            <div style={{ background: "#fff", padding: 12, display: "inline-block", border: "1px solid #eee", borderRadius: 8 }}>
+              <QRCode value={current.link} size={180} />
+            </div>
+          </div>
+        )}
+
+        {keys.length > 0 && (
+          <div style={{ marginTop: 12 }}>
+            <div style={{ fontWeight: 600, fontSize: 14, marginBottom: 4 }}>{t("requestFile.keys")}</div>
+            {keys.map((k) => (
+              <div key={k.id} style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13, padding: "3px 0" }}>
+                <code dir="ltr" style={{ flex: 1 }}>{k.fingerprint}</code>
+                <span style={{ color: "#666" }}>{new Date(k.createdAt).toLocaleDateString(locale)}</span>
+                <button onClick={() => copy(k.link)} style={{ padding: "4px 8px", borderRadius: 6 }}>{t("requestFile.copyLink")}</button>
+                <button onClick={() => forget(k.id)} style={{ padding: "4px 8px", borderRadius: 6 }}>{t("requestFile.forget")}</button>
+              </div>
+            ))}
+            <div style={{ fontSize: 12, color: "#666", marginTop: 4 }}>{t("requestFile.forgetNote")}</div>
+          </div>
+        )}
+
+        {error && <div role="alert" style={{ fontSize: 13, color: "crimson", marginTop: 8 }}>{t(error)}</div>}
+
+        <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 12 }}>
+          <button onClick={onClose} style={{ background: "#fff", border: "1px solid #ddd", padding: "8px 12px", borderRadius: 8 }}>{t("common.close")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
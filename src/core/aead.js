@@ -0,0 +1,215 @@
+// AES-GCM sealing: single-shot payloads, the blob-store delete token, and the
+// segments of chunked payloads.
+import { bytesToHex, sha256Hex } from "./bytes.js";
+import { BurnZipError, ErrorCode } from "./errors.js";
+
+// aad (optional) is authenticated but not encrypted; used to bind the header
+export async function encryptArrayBuffer(key, plaintextBuffer, aad) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const params = { name: "AES-GCM", iv };
+  if (aad) params.additionalData = aad;
+  const cipher = await crypto.subtle.encrypt(
+    params,
+    key,
+    plaintextBuffer
+  );
+  const ivBuf = new Uint8Array(iv.buffer);
+  const cipherBuf = new Uint8Array(cipher);
+  const out = new Uint8Array(ivBuf.length + cipherBuf.length);
+  out.set(ivBuf, 0);
+  out.set(cipherBuf, ivBuf.length);
+  return out;
+}
+
+export async function decryptArrayBuffer(key, combinedCipher, aad) {
+  const iv = combinedCipher.slice(0, 12);
+  const cipher = combinedCipher.slice(12);
+  const params = { name: "AES-GCM", iv: iv };
+  if (aad) params.additionalData = aad;
+  const plain = await crypto.subtle.decrypt(
+    params,
+    key,
+    cipher
+  );
+  return new Uint8Array(plain);
+}
+
+// The blob store only deletes for whoever presents this token. It is sealed
+// under the payload key, so only a recipient who knows the code can burn the copy.
+const DELETE_TOKEN_AAD = new TextEncoder().encode("burnzip:delete-token");
+
+export async function createDeleteToken(key) {
+  const token = bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+  const sealed = await encryptArrayBuffer(key, new TextEncoder().encode(token), DELETE_TOKEN_AAD);
+  return { token, tokenHash: await sha256Hex(token), sealed };
+}
+
+export async function openDeleteToken(key, meta) {
+  if (!meta.deleteToken) return null;
+  const plain = await decryptArrayBuffer(key, meta.deleteToken, DELETE_TOKEN_AAD);
+  return new TextDecoder().decode(plain);
+}
+
+// ---- Key check ----
+// The header carries a short GMAC tag made with the payload key, so a wrong
+// code (check fails) can be told apart from a damaged payload (check passes,
+// AES-GCM fails). It says nothing a guesser couldn't learn from the ciphertext.
+// The IV ends in 0xff, which segment nonces (final flag 0 or 1) never do.
+const KEY_CHECK_IV = new Uint8Array(12).fill(0xff);
+const KEY_CHECK_AAD = new TextEncoder().encode("burnzip:key-check");
+export const KEY_CHECK_BYTES = 8;
+
+export async function computeKeyCheck(key) {
+  const tag = await crypto.subtle.encrypt({ name: "AES-GCM", iv: KEY_CHECK_IV, additionalData: KEY_CHECK_AAD }, key, new Uint8Array(0));
+  return new Uint8Array(tag).slice(0, KEY_CHECK_BYTES);
+}
+
+// resolves to true if the header's key check vouches for `key`, false for
+// payloads made before key checks existed; rejects with WRONG_CODE otherwise
+export async function verifyKeyCheck(key, meta) {
+  if (!meta.keyCheck) return false;
+  const actual = await computeKeyCheck(key);
+  if (actual.some((b, i) => b !== meta.keyCheck[i])) {
+    throw new BurnZipError(ErrorCode.WRONG_CODE, "Wrong code. Check the code and try again.");
+  }
+  return true;
+}
+
+// what an AES-GCM failure means, given whether the key check passed
+export function authFailure(keyChecked) {
+  return keyChecked
+    ? new BurnZipError(ErrorCode.TAMPERED, "This payload was modified or damaged after it was encrypted.")
+    : new BurnZipError(ErrorCode.DECRYPT_FAILED, "Decryption failed. Check the code and try again.");
+}
+
+// ---- Chunked mode ----
+// Segment i is sealed with nonce = noncePrefix(7) | i (u32 BE) | finalFlag(1)
+// and the container header as AAD, so reordering, dropping the tail or
+// editing the header all fail authentication.
+export const TAG_BYTES = 16;
+
+export function segmentNonce(prefix, index, final) {
+  const iv = new Uint8Array(12);
+  iv.set(prefix, 0);
+  new DataView(iv.buffer).setUint32(7, index);
+  iv[11] = final ? 1 : 0;
+  return iv;
+}
+
+export function segmentCount(cipherLen, segmentSize) {
+  return Math.max(1, Math.ceil(cipherLen / (segmentSize + TAG_BYTES)));
+}
+
+// seg: { aad, noncePrefix, index, final, keyChecked? }
+export function sealSegment(key, plain, seg) {
+  return crypto.subtle.encrypt(
+    { name: "AES-GCM", iv: segmentNonce(seg.noncePrefix, seg.index, seg.final), additionalData: seg.aad },
+    key,
+    plain
+  );
+}
+
+export async function openSegment(key, cipher, seg) {
+  try {
+    return await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: segmentNonce(seg.noncePrefix, seg.index, seg.final), additionalData: seg.aad },
+      key,
+      cipher
+    );
+  } catch (e) {
+    // a "last" segment that opens as a middle one means the tail was cut off
+    if (seg.final && (await opensAsMiddleSegment(key, cipher, seg))) {
+      throw new BurnZipError(ErrorCode.TRUNCATED, "This payload is truncated: its last part is missing.");
+    }
+    // past the first segment the key is known to be right
+    throw authFailure(seg.keyChecked || seg.index > 0);
+  }
+}
+
+async function opensAsMiddleSegment(key, cipher, seg) {
+  try {
+    await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: segmentNonce(seg.noncePrefix, seg.index, false), additionalData: seg.aad },
+      key,
+      cipher
+    );
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Seals `blob` segment by segment; yields { data, done, total } per segment,
+ * so only one segment is held in memory at a time.
+ * opts: { aad, noncePrefix, segmentSize }
+ */
+export async function* sealSegments(key, blob, opts) {
+  const total = blob.size;
+  let offset = 0;
+  let index = 0;
+  do {
+    const end = Math.min(offset + opts.segmentSize, total);
+    const final = end >= total;
+    const plain = await blob.slice(offset, end).arrayBuffer();
+    const data = await sealSegment(key, plain, { aad: opts.aad, noncePrefix: opts.noncePrefix, index, final });
+    offset = end;
+    index++;
+    yield { data, done: offset, total };
+  } while (offset < total);
+}
+
+/**
+ * Opens the segments of a chunked payload that start at `offset` in `blob`;
+ * yields { data, done } per segment and checks the total against `size`.
+ * opts: { offset, aad, noncePrefix, segmentSize, size, keyChecked }
+ */
+export async function* openSegments(key, blob, opts) {
+  const segCipher = opts.segmentSize + TAG_BYTES;
+  const count = segmentCount(blob.size - opts.offset, opts.segmentSize);
+  let done = 0;
+  for (let index = 0; index < count; index++) {
+    const start = opts.offset + index * segCipher;
+    const cipher = await blob.slice(start, Math.min(start + segCipher, blob.size)).arrayBuffer();
+    const seg = { aad: opts.aad, noncePrefix: opts.noncePrefix, index, final: index === count - 1, keyChecked: opts.keyChecked };
+    const data = await openSegment(key, cipher, seg);
+    done += data.byteLength;
+    yield { data, done };
+  }
+  if (opts.size != null && done !== opts.size) {
+    throw new BurnZipError(done < opts.size ? ErrorCode.TRUNCATED : ErrorCode.TAMPERED, "Decrypted length does not match the header.");
+  }
+}
+
+// ---- Segment hooks ----
+// encrypt() and decrypt() seal and open chunked payloads through these unless
+// given their own (options.sealChunked / options.openChunked, same signatures),
+// which is how the web app moves the segment work into a worker.
+
+/**
+ * Seals `blob` and resolves to the sealed segments as one Blob.
+ * opts: { aad, noncePrefix, segmentSize, onProgress? }
+ */
+export async function sealChunked(key, blob, opts) {
+  const parts = [];
+  for await (const seg of sealSegments(key, blob, opts)) {
+    parts.push(new Blob([seg.data]));
+    if (opts.onProgress) opts.onProgress({ done: seg.done, total: seg.total });
+  }
+  return new Blob(parts, { type: "application/octet-stream" });
+}
+
+/**
+ * Opens a chunked payload and resolves to the plaintext as a Blob of type
+ * `mime`. A replacement may resolve to null once it has delivered the
+ * plaintext some other way (the app streams it to disk).
+ * opts: { offset, aad, noncePrefix, segmentSize, size, mime, keyChecked, onProgress? }
+ */
+export async function openChunked(key, blob, opts) {
+  const parts = [];
+  for await (const seg of openSegments(key, blob, opts)) {
+    parts.push(new Blob([seg.data]));
+    if (opts.onProgress) opts.onProgress({ done: seg.done, total: opts.size });
+  }
+  return new Blob(parts, { type: opts.mime });
+}
@@ -0,0 +1,87 @@
+// Byte helpers shared by the container, link and crypto modules.
+import { BurnZipError, ErrorCode } from "./errors.js";
+
+export function u8ToBase64(u8) {
+  let CHUNK_SIZE = 0x8000;
+  let index = 0;
+  let length = u8.length;
+  let result = "";
+  while (index < length) {
+    result += String.fromCharCode.apply(null, u8.subarray(index, Math.min(index + CHUNK_SIZE, length)));
+    index += CHUNK_SIZE;
+  }
+  return btoa(result);
+}
+
+export function base64ToU8(b64) {
+  const bin = atob(b64);
+  const len = bin.length;
+  const u8 = new Uint8Array(len);
+  for (let i = 0; i < len; i++) u8[i] = bin.charCodeAt(i);
+  return u8;
+}
+
+// RFC 4648 §5: "-" and "_" instead of "+" and "/", no padding. Messengers leave
+// it alone where they percent-encode or break links at "+", "/" and "=".
+export function u8ToBase64Url(u8) {
+  return u8ToBase64(u8).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// accepts either alphabet, padded or not, so links made before base64url still open
+export function base64UrlToU8(text) {
+  return base64ToU8(text.replace(/-/g, "+").replace(/_/g, "/").replace(/=+$/, ""));
+}
+
+// characters needed for `bytes` bytes of unpadded base64url
+export function base64UrlLength(bytes) {
+  return Math.ceil((bytes * 4) / 3);
+}
+
+export function bytesToHex(u8) {
+  return Array.from(u8, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function sha256Hex(str) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(str));
+  return bytesToHex(new Uint8Array(digest));
+}
+
+export function writeVarint(n, out) {
+  while (n >= 0x80) {
+    out.push((n & 0x7f) | 0x80);
+    n = Math.floor(n / 128);
+  }
+  out.push(n);
+}
+
+export function readVarint(u8, pos) {
+  let n = 0;
+  let mul = 1;
+  for (;;) {
+    if (pos >= u8.length) throw new BurnZipError(ErrorCode.MALFORMED_PAYLOAD, "This payload's header is damaged.");
+    const b = u8[pos++];
+    n += (b & 0x7f) * mul;
+    if (!(b & 0x80)) return { value: n, pos };
+    mul *= 128;
+  }
+}
+
+export function u64ToBytes(n) {
+  const out = new Uint8Array(8);
+  const dv = new DataView(out.buffer);
+  dv.setUint32(0, Math.floor(n / 0x100000000));
+  dv.setUint32(4, n >>> 0);
+  return out;
+}
+
+export function bytesToU64(u8) {
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  return dv.getUint32(0) * 0x100000000 + dv.getUint32(4);
+}
+
+// accepts Blob, ArrayBuffer, typed array or string
+export function toBlob(input, type) {
+  if (typeof Blob !== "undefined" && input instanceof Blob) return input;
+  const part = typeof input === "string" ? new TextEncoder().encode(input) : input;
+  return new Blob([part], type ? { type } : undefined);
+}
@@ -0,0 +1,72 @@
+// Optional deflate before encryption, so more fits in an embedded link.
+// The header records the algorithm and the compressed length (TAG_COMPRESSION);
+// recipients inflate automatically. Only single-shot payloads are compressed:
+// chunked ones are too big for a link anyway and are streamed to disk as-is.
+// Compressed length can hint at content when an attacker also controls part of
+// the plaintext, which is why senders can turn it off.
+import { BurnZipError, ErrorCode } from "./errors.js";
+
+export const COMPRESSION_DEFLATE = 0x01; // zlib deflate (RFC 1950), CompressionStream "deflate"
+const FORMATS = { [COMPRESSION_DEFLATE]: "deflate" };
+
+// needs better than 10:1 to get under MAX_EMBED_BYTES past this, which is rare
+export const MAX_COMPRESS_INPUT_BYTES = 1024 * 1024;
+
+// types that are already compressed; deflating them again only costs time
+const PRECOMPRESSED = /^(image\/(?!svg|bmp)|audio\/|video\/|font\/woff)|^application\/(zip|gzip|x-gzip|x-7z-compressed|x-rar-compressed|x-bzip2|x-xz|zstd|pdf|epub\+zip|vnd\.openxmlformats|vnd\.oasis\.opendocument)/;
+
+export function isCompressionSupported() {
+  return typeof CompressionStream !== "undefined";
+}
+
+// resolves to null, having stopped reading, once the output passes maxLength
+async function pipeBytes(u8, transform, maxLength = Infinity) {
+  const reader = new Blob([u8]).stream().pipeThrough(transform).getReader();
+  const parts = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(value);
+    length += value.length;
+    if (length > maxLength) {
+      reader.cancel().catch(() => {});
+      return null;
+    }
+  }
+  const out = new Uint8Array(length);
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
+
+export function compressBytes(u8, id = COMPRESSION_DEFLATE) {
+  return pipeBytes(u8, new CompressionStream(FORMATS[id]));
+}
+
+// size: the plaintext length from the (authenticated) header. Inflating stops
+// there, so a deflate bomb can't run the recipient out of memory.
+export async function decompressBytes(u8, id, size) {
+  if (!FORMATS[id]) throw new BurnZipError(ErrorCode.UNSUPPORTED, `This payload uses compression ${id}, which this version of BurnZip can't read.`);
+  let out;
+  try {
+    out = await pipeBytes(u8, new DecompressionStream(FORMATS[id]), size);
+  } catch (e) {
+    // the ciphertext authenticated, so this is a sender bug rather than tampering
+    throw new BurnZipError(ErrorCode.MALFORMED_PAYLOAD, "This payload's compressed data is damaged.");
+  }
+  if (!out || out.length !== size) throw new BurnZipError(ErrorCode.MALFORMED_PAYLOAD, "This payload's compressed data doesn't match its stated size.");
+  return out;
+}
+
+// deflates plaintext that could end up in a link; resolves to
+// { data, compression: { id, size } }, or null when it doesn't pay
+export async function compressPlaintext(u8, mime) {
+  if (!isCompressionSupported() || u8.length > MAX_COMPRESS_INPUT_BYTES || PRECOMPRESSED.test(mime || "")) return null;
+  const data = await compressBytes(u8);
+  if (data.length >= u8.length) return null;
+  return { data, compression: { id: COMPRESSION_DEFLATE, size: data.length } };
+}
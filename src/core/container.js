@@ -0,0 +1,277 @@
+import { readVarint, writeVarint, u64ToBytes, bytesToU64 } from "./bytes.js";
+import { KDF_PBKDF2_SHA256, KDF_ARGON2ID, KDF_SCRYPT, KDF_ECDH_P256, KDF_PRESETS, validateKdf } from "./kdf.js";
+import { TAG_BYTES, KEY_CHECK_BYTES } from "./aead.js";
+import { SIGNATURE_BYTES } from "./sign.js";
+import { BurnZipError, ErrorCode } from "./errors.js";
+
+// ---- Container format ----
+// v1: [magic "BZIP"(4) | version(1) | headerLen(u32 BE) | TLV fields(headerLen) | iv+cipher | signature?]
+// Each TLV field is [tag(1) | varint length | value]; unknown tags are skipped.
+// Everything before iv+cipher is passed to AES-GCM as additional authenticated data.
+// Signed payloads (TAG_SIGNER in the header) end in a 64-byte signature, see sign.js.
+// v0 (no magic): [salt(16) | filenameLen(1) | filename(bytes) | encrypted(iv+cipher)]
+const CONTAINER_MAGIC = [0x42, 0x5a, 0x49, 0x50]; // "BZIP"
+const CONTAINER_VERSION = 1;
+export const CONTAINER_PREFIX_LEN = 9; // magic + version + headerLen
+
+const TAG_KDF = 0x01; // kdfId(1) | params, see encodeKdfParams
+const TAG_SALT = 0x02;
+const TAG_FILENAME = 0x03; // UTF-8
+const TAG_MIME = 0x04; // UTF-8
+const TAG_SIZE = 0x05; // plaintext length, u64 BE
+const TAG_CREATED = 0x06; // ms since epoch, u64 BE
+const TAG_SEGMENT_SIZE = 0x07; // chunked mode only: plaintext bytes per segment, u32 BE
+const TAG_NONCE_PREFIX = 0x08; // chunked mode only: 7-byte per-payload nonce prefix
+const TAG_BUNDLE = 0x09; // 1 = plaintext is a multi-file ZIP bundle
+const TAG_EXPIRES_AT = 0x0a; // ms since epoch, u64 BE; recipients refuse to decrypt after it
+const TAG_MAX_OPENS = 0x0b; // u32 BE; enforced by the blob store, informational for embedded links
+const TAG_DELETE_TOKEN = 0x0c; // iv+cipher of the blob-store delete token, see createDeleteToken
+const TAG_KEY_CHECK = 0x0d; // GMAC tag under the payload key, see computeKeyCheck
+const TAG_COMPRESSION = 0x0e; // single-shot only: algorithm(1) | compressed length(u64 BE), see compress.js
+const TAG_SIGNER = 0x0f; // sender's raw P-256 ECDSA public key; the payload ends in a signature
+
+// PBKDF2: iterations(u32) | Argon2id: iterations(u32) memoryKiB(u32) parallelism(u8) | scrypt: n(u32) r(u32) p(u8)
+// ECDH P-256: ephemeral public key(65) recipient key id(8)
+function encodeKdfParams(kdf) {
+  if (kdf.id === KDF_ECDH_P256) {
+    const out = new Uint8Array(1 + 65 + 8);
+    out[0] = kdf.id;
+    out.set(kdf.ephemeralPublicKey, 1);
+    out.set(kdf.recipientKeyId, 66);
+    return out;
+  }
+  const out = new Uint8Array(kdf.id === KDF_PBKDF2_SHA256 ? 5 : 10);
+  const dv = new DataView(out.buffer);
+  out[0] = kdf.id;
+  if (kdf.id === KDF_PBKDF2_SHA256) {
+    dv.setUint32(1, kdf.iterations);
+  } else if (kdf.id === KDF_ARGON2ID) {
+    dv.setUint32(1, kdf.iterations);
+    dv.setUint32(5, kdf.memory);
+    out[9] = kdf.parallelism;
+  } else if (kdf.id === KDF_SCRYPT) {
+    dv.setUint32(1, kdf.n);
+    dv.setUint32(5, kdf.r);
+    out[9] = kdf.p;
+  }
+  return out;
+}
+
+function decodeKdfParams(u8) {
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const id = u8[0];
+  if (id === KDF_PBKDF2_SHA256) return { id, iterations: dv.getUint32(1) };
+  if (id === KDF_ARGON2ID) return { id, iterations: dv.getUint32(1), memory: dv.getUint32(5), parallelism: u8[9] };
+  if (id === KDF_SCRYPT) return { id, n: dv.getUint32(1), r: dv.getUint32(5), p: u8[9] };
+  if (id === KDF_ECDH_P256) return { id, ephemeralPublicKey: u8.slice(1, 66), recipientKeyId: u8.slice(66, 74) };
+  return { id };
+}
+
+// meta: { salt, filename, mime, size, createdAt, kdf, segmentSize?, noncePrefix?, bundle?,
+//         expiresAt?, maxOpens?, deleteToken?, keyCheck?, compression?, signer? }
+// size is always the original plaintext length; compression.size is what gets encrypted
+export function encodeHeader(meta) {
+  const enc = new TextEncoder();
+  const fields = [
+    [TAG_KDF, encodeKdfParams(meta.kdf)],
+    [TAG_SALT, meta.salt],
+    [TAG_FILENAME, enc.encode(meta.filename)],
+    [TAG_MIME, enc.encode(meta.mime || "application/octet-stream")],
+    [TAG_SIZE, u64ToBytes(meta.size)],
+    [TAG_CREATED, u64ToBytes(meta.createdAt)],
+  ];
+  if (meta.segmentSize) {
+    const seg = new Uint8Array(4);
+    new DataView(seg.buffer).setUint32(0, meta.segmentSize);
+    fields.push([TAG_SEGMENT_SIZE, seg], [TAG_NONCE_PREFIX, meta.noncePrefix]);
+  }
+  if (meta.bundle) fields.push([TAG_BUNDLE, new Uint8Array([1])]);
+  if (meta.expiresAt) fields.push([TAG_EXPIRES_AT, u64ToBytes(meta.expiresAt)]);
+  if (meta.maxOpens) {
+    const opens = new Uint8Array(4);
+    new DataView(opens.buffer).setUint32(0, meta.maxOpens);
+    fields.push([TAG_MAX_OPENS, opens]);
+  }
+  if (meta.deleteToken) fields.push([TAG_DELETE_TOKEN, meta.deleteToken]);
+  if (meta.keyCheck) fields.push([TAG_KEY_CHECK, meta.keyCheck]);
+  if (meta.compression) {
+    const compression = new Uint8Array(9);
+    compression[0] = meta.compression.id;
+    compression.set(u64ToBytes(meta.compression.size), 1);
+    fields.push([TAG_COMPRESSION, compression]);
+  }
+  if (meta.signer) fields.push([TAG_SIGNER, meta.signer]);
+  const body = [];
+  for (const [tag, value] of fields) {
+    body.push(tag);
+    writeVarint(value.length, body);
+    for (let i = 0; i < value.length; i++) body.push(value[i]);
+  }
+  const out = new Uint8Array(CONTAINER_PREFIX_LEN + body.length);
+  out.set(CONTAINER_MAGIC, 0);
+  out[4] = CONTAINER_VERSION;
+  new DataView(out.buffer).setUint32(5, body.length);
+  out.set(body, CONTAINER_PREFIX_LEN);
+  return out;
+}
+
+function decodeHeaderFields(u8) {
+  const dec = new TextDecoder();
+  const meta = {};
+  let pos = 0;
+  while (pos < u8.length) {
+    const tag = u8[pos++];
+    const len = readVarint(u8, pos);
+    pos = len.pos;
+    if (pos + len.value > u8.length) throw new BurnZipError(ErrorCode.MALFORMED_PAYLOAD, "This payload's header is damaged.");
+    const value = u8.slice(pos, pos + len.value);
+    pos += len.value;
+    if (tag === TAG_KDF) {
+      meta.kdf = decodeKdfParams(value);
+    } else if (tag === TAG_SALT) {
+      meta.salt = value;
+    } else if (tag === TAG_FILENAME) {
+      meta.filename = dec.decode(value);
+    } else if (tag === TAG_MIME) {
+      meta.mime = dec.decode(value);
+    } else if (tag === TAG_SIZE) {
+      meta.size = bytesToU64(value);
+    } else if (tag === TAG_CREATED) {
+      meta.createdAt = bytesToU64(value);
+    } else if (tag === TAG_SEGMENT_SIZE) {
+      meta.segmentSize = new DataView(value.buffer).getUint32(0);
+    } else if (tag === TAG_NONCE_PREFIX) {
+      meta.noncePrefix = value;
+    } else if (tag === TAG_BUNDLE) {
+      meta.bundle = value[0] === 1;
+    } else if (tag === TAG_EXPIRES_AT) {
+      meta.expiresAt = bytesToU64(value);
+    } else if (tag === TAG_MAX_OPENS) {
+      meta.maxOpens = new DataView(value.buffer).getUint32(0);
+    } else if (tag === TAG_DELETE_TOKEN) {
+      meta.deleteToken = value;
+    } else if (tag === TAG_KEY_CHECK) {
+      meta.keyCheck = value;
+    } else if (tag === TAG_COMPRESSION) {
+      meta.compression = { id: value[0], size: bytesToU64(value.slice(1)) };
+    } else if (tag === TAG_SIGNER) {
+      meta.signer = value;
+    }
+  }
+  return meta;
+}
+
+export function isPayloadExpired(meta) {
+  return Boolean(meta && meta.expiresAt && Date.now() > meta.expiresAt);
+}
+
+// v1 headers record the plaintext size, which fixes the payload's exact length:
+// that tells a link cut short by a chat app from one that was altered
+export function expectedPayloadLength(meta) {
+  if (!meta || meta.size == null) return null;
+  const signature = meta.signer ? SIGNATURE_BYTES : 0;
+  if (meta.segmentSize) {
+    const segments = Math.max(1, Math.ceil(meta.size / meta.segmentSize));
+    return meta.aad.length + meta.size + segments * TAG_BYTES + signature;
+  }
+  const encryptedSize = meta.compression ? meta.compression.size : meta.size;
+  return meta.aad.length + 12 + encryptedSize + TAG_BYTES + signature;
+}
+
+// the length a payload with these header fields will have, before any key exists:
+// salt, key check, delete token (deleteToken: true), signer (signer: true) and an
+// ECDH ephemeral key are counted at their fixed sizes. For showing link sizes ahead of time.
+export function projectedPayloadLength(meta) {
+  const kdf = meta.kdf.id === KDF_ECDH_P256 ? { id: KDF_ECDH_P256, ephemeralPublicKey: new Uint8Array(65), recipientKeyId: new Uint8Array(8) } : meta.kdf;
+  const header = encodeHeader({
+    ...meta,
+    kdf,
+    salt: new Uint8Array(16),
+    createdAt: meta.createdAt || Date.now(),
+    keyCheck: new Uint8Array(KEY_CHECK_BYTES),
+    deleteToken: meta.deleteToken ? new Uint8Array(12 + 64 + TAG_BYTES) : null, // iv + hex token + tag
+    signer: meta.signer ? new Uint8Array(65) : null,
+  });
+  return expectedPayloadLength({ ...meta, aad: header });
+}
+
+export function checkPayloadLength(meta, payloadSize) {
+  const expected = expectedPayloadLength(meta);
+  if (expected == null || payloadSize === expected) return;
+  if (payloadSize < expected) {
+    throw new BurnZipError(ErrorCode.TRUNCATED, `This payload is truncated: ${payloadSize} of ${expected} bytes arrived.`);
+  }
+  throw new BurnZipError(ErrorCode.TAMPERED, `This payload has ${payloadSize - expected} more bytes than its header allows.`);
+}
+
+export function hasContainerMagic(u8) {
+  return u8.length >= CONTAINER_PREFIX_LEN && CONTAINER_MAGIC.every((b, i) => u8[i] === b);
+}
+
+export function packageEncrypted(header, encryptedU8) {
+  const out = new Uint8Array(header.length + encryptedU8.length);
+  out.set(header, 0);
+  out.set(encryptedU8, header.length);
+  return out;
+}
+
+// u8 must start with a v1 container; returns header meta plus aad (the whole header)
+export function parseContainerHeader(u8) {
+  const version = u8[4];
+  if (version !== CONTAINER_VERSION) {
+    throw new BurnZipError(ErrorCode.UNSUPPORTED, `This payload uses container version ${version}, which this version of BurnZip can't read.`);
+  }
+  const headerLen = new DataView(u8.buffer, u8.byteOffset, u8.byteLength).getUint32(5);
+  const headerEnd = CONTAINER_PREFIX_LEN + headerLen;
+  if (headerEnd > u8.length) throw new BurnZipError(ErrorCode.TRUNCATED, "This payload is truncated: its header is incomplete.");
+  const meta = decodeHeaderFields(u8.slice(CONTAINER_PREFIX_LEN, headerEnd));
+  if (!meta.salt || !meta.kdf) throw new BurnZipError(ErrorCode.MALFORMED_PAYLOAD, "This payload's header is missing its key parameters.");
+  validateKdf(meta.kdf);
+  return {
+    version,
+    aad: u8.slice(0, headerEnd),
+    filename: meta.filename || "download.bin",
+    mime: meta.mime || "application/octet-stream",
+    ...meta,
+  };
+}
+
+// reads just the header from a Blob without loading the payload; null for v0
+export async function readContainerHeader(blob) {
+  const prefix = new Uint8Array(await blob.slice(0, CONTAINER_PREFIX_LEN).arrayBuffer());
+  if (!hasContainerMagic(prefix)) return null;
+  const headerLen = new DataView(prefix.buffer).getUint32(5);
+  const header = new Uint8Array(await blob.slice(0, CONTAINER_PREFIX_LEN + headerLen).arrayBuffer());
+  return parseContainerHeader(header);
+}
+
+// u8 must not include a signature (see sign.js unsignedPart)
+// returns { version, aad, salt, filename, mime, size, createdAt, kdf, bundle, keyCheck, compression, signer, encrypted }
+export function unpackageEncrypted(u8) {
+  if (hasContainerMagic(u8)) {
+    const meta = parseContainerHeader(u8);
+    if (meta.segmentSize) throw new BurnZipError(ErrorCode.INVALID_INPUT, "Chunked payloads must be decrypted segment by segment");
+    return { ...meta, encrypted: u8.slice(meta.aad.length) };
+  }
+  return unpackageEncryptedV0(u8);
+}
+
+// legacy links sent before the versioned header existed
+function unpackageEncryptedV0(u8) {
+  const salt = u8.slice(0, 16);
+  const filenameLen = u8[16];
+  const filenameBytes = u8.slice(17, 17 + filenameLen);
+  const filename = new TextDecoder().decode(filenameBytes);
+  const encrypted = u8.slice(17 + filenameLen);
+  return {
+    version: 0,
+    aad: null,
+    salt,
+    filename,
+    mime: "application/octet-stream",
+    size: null,
+    createdAt: null,
+    kdf: KDF_PRESETS.pbkdf2,
+    encrypted,
+  };
+}
@@ -0,0 +1,365 @@
+/**
+ * @jest-environment node
+ */
+import {
+  encrypt,
+  decrypt,
+  readContainerHeader,
+  deriveKeyFromCode,
+  encryptArrayBuffer,
+  validateKdf,
+  embeddedLink,
+  storedLink,
+  parseShareLink,
+  normalizeCode,
+  generateRecipientKeyPair,
+  requestLink,
+  keyFingerprint,
+  KDF_PBKDF2_SHA256,
+  KDF_ECDH_P256,
+  KDF_SCRYPT,
+  STREAM_SEGMENT_SIZE,
+  MAX_EMBED_BYTES,
+  COMPRESSION_DEFLATE,
+  compressBytes,
+  decompressBytes,
+  ErrorCode,
+  u8ToBase64,
+  projectedPayloadLength,
+  embeddedLinkLength,
+  generateSenderKeyPair,
+  SIGNATURE_BYTES,
+  verifyPayloadSignature,
+  splitCode,
+  parseCodeShare,
+  combineCodeShares,
+  sealChunked as coreSealChunked,
+  openChunked as coreOpenChunked,
+} from "./index.js";
+
+// low iteration count keeps the suite fast; the format is the same
+const FAST_KDF = { id: KDF_PBKDF2_SHA256, iterations: 1000 };
+const CODE = "ABCD-EFGH-1234";
+
+async function bytesOf(blob) {
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+async function text(blob) {
+  return new TextDecoder().decode(await bytesOf(blob));
+}
+
+describe("encrypt / decrypt", () => {
+  test("round-trips a message and its header fields", async () => {
+    const { payload } = await encrypt("héllo wörld 😀", { code: CODE, kdf: FAST_KDF, maxOpens: 3 });
+    const { data, meta } = await decrypt(payload, CODE);
+    expect(await text(data)).toBe("héllo wörld 😀");
+    expect(meta.filename).toBe("message.txt");
+    expect(meta.mime).toBe("text/plain;charset=utf-8");
+    expect(meta.maxOpens).toBe(3);
+    expect(meta.kdf).toEqual(FAST_KDF);
+  });
+
+  test("accepts the code in any case and with spaces, like the app", async () => {
+    const { payload } = await encrypt("x", { code: "correct horse battery", kdf: FAST_KDF });
+    const { data } = await decrypt(payload, "  CORRECT   horse battery ");
+    expect(await text(data)).toBe("x");
+    expect(normalizeCode(" a  b ")).toBe("A-B");
+  });
+
+  test("rejects a wrong code", async () => {
+    const { payload } = await encrypt("secret", { code: CODE, kdf: FAST_KDF });
+    await expect(decrypt(payload, "WRONG-CODE-0000")).rejects.toThrow("Check the code");
+  });
+
+  test("refuses codes shorter than the minimum", async () => {
+    await expect(encrypt("secret", { code: "short" })).rejects.toThrow("at least");
+  });
+
+  test("detects an edited header", async () => {
+    const { payload } = await encrypt("secret", { code: CODE, kdf: FAST_KDF, filename: "a.txt" });
+    const u8 = await bytesOf(payload);
+    const at = u8.indexOf("a".charCodeAt(0), 9);
+    u8[at] = "b".charCodeAt(0);
+    await expect(decrypt(u8, CODE)).rejects.toThrow();
+  });
+
+  test("refuses expired payloads before deriving a key", async () => {
+    const { payload } = await encrypt("secret", { code: CODE, kdf: FAST_KDF, expiresAt: Date.now() - 1000 });
+    await expect(decrypt(payload, CODE)).rejects.toThrow("expired");
+  });
+
+  test("seals a delete token only the code holder can read", async () => {
+    const { payload, deleteToken } = await encrypt("secret", { code: CODE, kdf: FAST_KDF, deleteToken: true });
+    expect(deleteToken.tokenHash).toMatch(/^[0-9a-f]{64}$/);
+    const opened = await decrypt(payload, CODE);
+    expect(opened.deleteToken).toBe(deleteToken.token);
+  });
+
+  test("opens legacy v0 links", async () => {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKeyFromCode(CODE, salt);
+    const name = new TextEncoder().encode("old.txt");
+    const encrypted = await encryptArrayBuffer(key, new TextEncoder().encode("from before v1"));
+    const v0 = new Uint8Array([...salt, name.length, ...name, ...encrypted]);
+    const { data, meta } = await decrypt(v0, CODE);
+    expect(meta.version).toBe(0);
+    expect(meta.filename).toBe("old.txt");
+    expect(await text(data)).toBe("from before v1");
+  });
+
+  test("v0 codes are used as typed, spaces included", async () => {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKeyFromCode("AB CD EF 1", salt);
+    const encrypted = await encryptArrayBuffer(key, new TextEncoder().encode("spaced"));
+    const v0 = new Uint8Array([...salt, 0, ...encrypted]);
+    expect(await text((await decrypt(v0, "ab CD ef 1")).data)).toBe("spaced");
+    await expect(decrypt(v0, "AB-CD-EF-1")).rejects.toMatchObject({ code: ErrorCode.DECRYPT_FAILED });
+  });
+});
+
+describe("chunked mode", () => {
+  const size = STREAM_SEGMENT_SIZE * 2 + 12345;
+  const plain = new Uint8Array(size).map((_, i) => (i * 31) & 0xff);
+
+  test("round-trips a multi-segment payload and reports progress", async () => {
+    const progress = [];
+    const { payload } = await encrypt(plain, { code: CODE, kdf: FAST_KDF, filename: "big.bin", onProgress: (p) => progress.push(p.done) });
+    const head = await readContainerHeader(payload);
+    expect(head.segmentSize).toBe(STREAM_SEGMENT_SIZE);
+    expect(progress).toEqual([STREAM_SEGMENT_SIZE, STREAM_SEGMENT_SIZE * 2, size]);
+    const { data } = await decrypt(payload, CODE);
+    expect(await bytesOf(data)).toEqual(plain);
+  });
+
+  test("detects a payload cut at a segment boundary", async () => {
+    const { payload } = await encrypt(plain, { code: CODE, kdf: FAST_KDF });
+    const head = await readContainerHeader(payload);
+    const cut = payload.slice(0, head.aad.length + (STREAM_SEGMENT_SIZE + 16) * 2);
+    await expect(decrypt(cut, CODE)).rejects.toThrow("truncated");
+  });
+
+  test("segment sealing and opening can be handed to someone else", async () => {
+    const calls = [];
+    const sealChunked = (key, blob, opts) => {
+      calls.push(["seal", blob.size, opts.segmentSize]);
+      return coreSealChunked(key, blob, opts);
+    };
+    const { payload } = await encrypt(plain, { code: CODE, kdf: FAST_KDF, sealChunked });
+    const delivered = [];
+    const openChunked = async (key, blob, opts) => {
+      calls.push(["open", opts.size, opts.keyChecked]);
+      delivered.push(await coreOpenChunked(key, blob, opts));
+      return null;
+    };
+    const { data, meta } = await decrypt(payload, CODE, { openChunked });
+    expect(calls).toEqual([["seal", size, STREAM_SEGMENT_SIZE], ["open", size, true]]);
+    expect(data).toBeNull();
+    expect(meta.size).toBe(size);
+    expect(await bytesOf(delivered[0])).toEqual(plain);
+    await expect(decrypt(payload, "WXYZ-WXYZ-0000", { openChunked })).rejects.toMatchObject({ code: ErrorCode.WRONG_CODE });
+    expect(calls).toHaveLength(2);
+  });
+});
+
+describe("failure diagnosis", () => {
+  test("a wrong code and an altered payload fail differently", async () => {
+    const { payload } = await encrypt("secret", { code: CODE, kdf: FAST_KDF });
+    await expect(decrypt(payload, "WRONG-CODE-0000")).rejects.toMatchObject({ code: ErrorCode.WRONG_CODE });
+    const u8 = await bytesOf(payload);
+    u8[u8.length - 1] ^= 1;
+    await expect(decrypt(u8, CODE)).rejects.toMatchObject({ code: ErrorCode.TAMPERED });
+  });
+
+  test("a link cut short by a chat app reads as truncated, even mid-character", async () => {
+    const { payload } = await encrypt("x".repeat(500), { code: CODE, kdf: FAST_KDF });
+    const link = embeddedLink(await bytesOf(payload));
+    for (const cut of [40, 41, 42, 43]) {
+      const { payload: partial } = parseShareLink(link.slice(0, link.length - cut));
+      await expect(decrypt(partial, CODE)).rejects.toMatchObject({ code: ErrorCode.TRUNCATED });
+    }
+  });
+
+  test("links with foreign characters are malformed, percent-encoded ones still open", async () => {
+    const { payload } = await encrypt("secret", { code: CODE, kdf: FAST_KDF });
+    const link = embeddedLink(await bytesOf(payload));
+    expect(() => parseShareLink(`${link}…`)).toThrow(expect.objectContaining({ code: ErrorCode.MALFORMED_LINK }));
+    const encoded = link.replace(/\+/g, "%2B").replace(/\//g, "%2F");
+    const { data } = await decrypt(parseShareLink(encoded).payload, CODE);
+    expect(await text(data)).toBe("secret");
+  });
+});
+
+describe("links", () => {
+  test("embedded links carry the payload in the fragment", async () => {
+    const { payload } = await encrypt("via link", { code: CODE, kdf: FAST_KDF });
+    const link = embeddedLink(await bytesOf(payload), "https://example.test/app/#old");
+    expect(link.startsWith("https://example.test/app/#share:")).toBe(true);
+    const parsed = parseShareLink(link);
+    expect(await text((await decrypt(parsed.payload, CODE)).data)).toBe("via link");
+  });
+
+  test("payloads are base64url, and links from before base64url still open", async () => {
+    const { payload } = await encrypt("x".repeat(40), { code: CODE, kdf: FAST_KDF, compress: false });
+    const u8 = await bytesOf(payload);
+    const link = embeddedLink(u8);
+    expect(link.split("#share:")[1]).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(link.length).toBe(embeddedLinkLength(u8.length));
+    const legacy = `https://burnzip.co.uk/#share:${u8ToBase64(u8)}`;
+    expect(await text((await decrypt(parseShareLink(legacy).payload, CODE)).data)).toBe("x".repeat(40));
+  });
+
+  test("stored links carry only the blob id", () => {
+    expect(parseShareLink(storedLink("abc_123-XY"))).toEqual({ shortId: "abc_123-XY" });
+    expect(parseShareLink("https://example.test/")).toBeNull();
+  });
+});
+
+describe("compression", () => {
+  test("text is deflated before encryption and inflated on decrypt", async () => {
+    const message = "the same line again\n".repeat(500);
+    const { payload } = await encrypt(message, { code: CODE, kdf: FAST_KDF });
+    const head = await readContainerHeader(payload);
+    expect(head.compression.id).toBe(COMPRESSION_DEFLATE);
+    expect(head.size).toBe(message.length);
+    expect(payload.size).toBeLessThan(message.length / 10);
+    const { data, meta } = await decrypt(payload, CODE);
+    expect(await text(data)).toBe(message);
+    expect(meta.size).toBe(message.length);
+  });
+
+  test("compressible input over the embed limit still goes single-shot", async () => {
+    const message = "a".repeat(MAX_EMBED_BYTES * 3);
+    const { payload } = await encrypt(message, { code: CODE, kdf: FAST_KDF });
+    const head = await readContainerHeader(payload);
+    expect(head.segmentSize).toBeUndefined();
+    expect(payload.size).toBeLessThan(MAX_EMBED_BYTES);
+    expect(await text((await decrypt(payload, CODE)).data)).toBe(message);
+  });
+
+  test("is skipped when it doesn't help or is turned off", async () => {
+    const noise = crypto.getRandomValues(new Uint8Array(4096));
+    expect((await readContainerHeader((await encrypt(noise, { code: CODE, kdf: FAST_KDF })).payload)).compression).toBeUndefined();
+    const { payload } = await encrypt("b".repeat(4096), { code: CODE, kdf: FAST_KDF, compress: false });
+    expect((await readContainerHeader(payload)).compression).toBeUndefined();
+    expect(payload.size).toBe(projectedPayloadLength({ kdf: FAST_KDF, filename: "message.txt", mime: "text/plain;charset=utf-8", size: 4096 }));
+  });
+
+  test("inflates no further than the header's size", async () => {
+    const bomb = await compressBytes(new Uint8Array(8 * 1024 * 1024));
+    expect(bomb.length).toBeLessThan(16 * 1024);
+    await expect(decompressBytes(bomb, COMPRESSION_DEFLATE, 4096)).rejects.toMatchObject({ code: ErrorCode.MALFORMED_PAYLOAD });
+    const small = await compressBytes(new Uint8Array(100));
+    await expect(decompressBytes(small, COMPRESSION_DEFLATE, 4096)).rejects.toMatchObject({ code: ErrorCode.MALFORMED_PAYLOAD });
+    expect(await decompressBytes(small, COMPRESSION_DEFLATE, 100)).toEqual(new Uint8Array(100));
+  });
+});
+
+test("validateKdf rejects parameters that would hang the recipient", () => {
+  expect(() => validateKdf({ id: KDF_PBKDF2_SHA256, iterations: 1e9 })).toThrow();
+  expect(() => validateKdf({ id: 99 })).toThrow();
+  expect(() => validateKdf(FAST_KDF)).not.toThrow();
+  // 128·n·r: 4 GiB here, past the 1 GiB that Argon2id is held to
+  expect(() => validateKdf({ id: KDF_SCRYPT, n: 1 << 20, r: 32, p: 16 })).toThrow();
+  expect(() => validateKdf({ id: KDF_SCRYPT, n: 1 << 20, r: 8, p: 1 })).not.toThrow();
+});
+
+describe("public-key mode", () => {
+  test("only the requesting key opens the payload, and no code is involved", async () => {
+    const recipient = await generateRecipientKeyPair();
+    const link = requestLink(recipient.publicKey, "https://example.test/");
+    const { requestKey } = parseShareLink(link);
+    const { payload } = await encrypt("for your key only", { recipientKey: requestKey });
+
+    const head = await readContainerHeader(payload);
+    expect(head.kdf.id).toBe(KDF_ECDH_P256);
+    expect(head.kdf.recipientKeyId).toEqual(recipient.keyId);
+    expect(keyFingerprint(recipient.keyId)).toMatch(/^([0-9A-F]{4} ){3}[0-9A-F]{4}$/);
+
+    expect(await text((await decrypt(payload, recipient.privateKey)).data)).toBe("for your key only");
+    const stranger = await generateRecipientKeyPair();
+    await expect(decrypt(payload, stranger.privateKey)).rejects.toThrow("Check the code");
+    await expect(decrypt(payload, CODE)).rejects.toThrow("private key");
+  });
+
+  test("the private key cannot be exported", async () => {
+    const { privateKey } = await generateRecipientKeyPair();
+    expect(privateKey.extractable).toBe(false);
+  });
+
+  test("request links with anything but a P-256 point are ignored", () => {
+    expect(parseShareLink("https://example.test/#request:AAAA")).toBeNull();
+  });
+});
+
+describe("sender signatures", () => {
+  test("signed payloads name their signer, and unsigned ones say so", async () => {
+    const sender = await generateSenderKeyPair();
+    const { payload } = await encrypt("from me", { code: CODE, kdf: FAST_KDF, signer: sender });
+    const { data, signer } = await decrypt(payload, CODE);
+    expect(await text(data)).toBe("from me");
+    expect(signer.keyId).toEqual(sender.keyId);
+    expect((await decrypt((await encrypt("anonymous", { code: CODE, kdf: FAST_KDF })).payload, CODE)).signer).toBeNull();
+  });
+
+  test("a signed payload changed by someone who knows the code fails the signature check", async () => {
+    const sender = await generateSenderKeyPair();
+    const { payload } = await encrypt("from me", { code: CODE, kdf: FAST_KDF, signer: sender, compress: false });
+    const u8 = await bytesOf(payload);
+    u8[u8.length - SIGNATURE_BYTES - 1] ^= 1;
+    await expect(decrypt(u8, CODE)).rejects.toMatchObject({ code: ErrorCode.TAMPERED, message: expect.stringContaining("signature") });
+    await expect(decrypt(u8.slice(0, u8.length - 10), CODE)).rejects.toMatchObject({ code: ErrorCode.TRUNCATED });
+  });
+
+  test("a signature checked earlier is not checked again", async () => {
+    const sender = await generateSenderKeyPair();
+    const { payload } = await encrypt("from me", { code: CODE, kdf: FAST_KDF, signer: sender });
+    const verifiedSigner = await verifyPayloadSignature(payload, await readContainerHeader(payload));
+    const verify = jest.spyOn(crypto.subtle, "verify");
+    try {
+      expect((await decrypt(payload, CODE, { verifiedSigner })).signer).toBe(verifiedSigner);
+      expect(verify).not.toHaveBeenCalled();
+      // a result for some other key proves nothing about this payload
+      const other = await generateSenderKeyPair();
+      await decrypt(payload, CODE, { verifiedSigner: { publicKey: other.publicKey, keyId: other.keyId } });
+      expect(verify).toHaveBeenCalledTimes(1);
+    } finally {
+      verify.mockRestore();
+    }
+  });
+
+  test("chunked payloads are signed block by block", async () => {
+    const sender = await generateSenderKeyPair();
+    const plain = new Uint8Array(STREAM_SEGMENT_SIZE + 999).map((_, i) => i & 0xff);
+    const { payload } = await encrypt(plain, { code: CODE, kdf: FAST_KDF, signer: sender, chunked: true });
+    const { data, signer } = await decrypt(payload, CODE);
+    expect(await bytesOf(data)).toEqual(plain);
+    expect(keyFingerprint(signer.keyId)).toBe(keyFingerprint(sender.keyId));
+  });
+});
+
+describe("code shares", () => {
+  test("any k of n shares rebuild the code; fewer are refused", async () => {
+    const tokens = await splitCode("abcd efgh 1234", 3, 5);
+    expect(tokens).toHaveLength(5);
+    const shares = await Promise.all(tokens.map(parseCodeShare));
+    expect(combineCodeShares([shares[4], shares[0], shares[2]])).toBe(CODE);
+    expect(combineCodeShares([shares[1], shares[3], shares[4], shares[1]])).toBe(CODE);
+    expect(() => combineCodeShares([shares[0], shares[1], shares[1]])).toThrow(expect.objectContaining({ code: ErrorCode.INVALID_INPUT }));
+
+    const { payload } = await encrypt("split", { code: CODE, kdf: FAST_KDF });
+    expect(await text((await decrypt(payload, combineCodeShares(shares.slice(2)))).data)).toBe("split");
+  });
+
+  test("damaged shares and shares of another split are rejected", async () => {
+    const [token] = await splitCode(CODE, 2, 3);
+    const typo = token.slice(0, -3) + (token.slice(-3, -2) === "A" ? "B" : "A") + token.slice(-2);
+    await expect(parseCodeShare(typo)).rejects.toMatchObject({ code: ErrorCode.BAD_SHARE });
+    await expect(parseCodeShare(token.slice(0, 12))).rejects.toMatchObject({ code: ErrorCode.BAD_SHARE });
+    await expect(parseCodeShare(CODE)).rejects.toMatchObject({ code: ErrorCode.BAD_SHARE });
+
+    const mine = await parseCodeShare(token);
+    const other = await parseCodeShare((await splitCode(CODE, 2, 3))[1]);
+    expect(() => combineCodeShares([mine, other])).toThrow(expect.objectContaining({ code: ErrorCode.BAD_SHARE }));
+  });
+});
@@ -0,0 +1,67 @@
+// Public-key mode: the recipient publishes a P-256 public key in a request
+// link and the sender encrypts to it, so no code has to travel separately.
+// The sender makes an ephemeral ECDH key pair per payload; the shared secret
+// goes through HKDF-SHA256 (header salt) to the AES-GCM payload key. The
+// ephemeral public key and the recipient's key id are recorded in the header's
+// KDF field, which is authenticated like the rest of the header.
+import { bytesToHex } from "./bytes.js";
+import { KDF_ECDH_P256 } from "./kdf.js";
+import { BurnZipError, ErrorCode } from "./errors.js";
+
+const ECDH_PARAMS = { name: "ECDH", namedCurve: "P-256" };
+const HKDF_INFO = new TextEncoder().encode("burnzip:ecdh-p256:aes-gcm-256");
+export const P256_PUBLIC_KEY_BYTES = 65; // uncompressed point
+export const KEY_ID_BYTES = 8;
+
+export function isP256PublicKey(u8) {
+  return u8 instanceof Uint8Array && u8.length === P256_PUBLIC_KEY_BYTES && u8[0] === 0x04;
+}
+
+// first 8 bytes of SHA-256 over the raw public key; tells the recipient which stored key to use
+export async function keyIdFor(publicKey) {
+  const digest = await crypto.subtle.digest("SHA-256", publicKey);
+  return new Uint8Array(digest).slice(0, KEY_ID_BYTES);
+}
+
+// for showing to people: "A1B2 C3D4 E5F6 0708"
+export function keyFingerprint(keyId) {
+  return bytesToHex(keyId).toUpperCase().match(/.{4}/g).join(" ");
+}
+
+// the private key is non-extractable: it can be stored (IndexedDB) but never exported
+export async function generateRecipientKeyPair() {
+  const pair = await crypto.subtle.generateKey(ECDH_PARAMS, false, ["deriveBits"]);
+  const publicKey = new Uint8Array(await crypto.subtle.exportKey("raw", pair.publicKey));
+  return { privateKey: pair.privateKey, publicKey, keyId: await keyIdFor(publicKey) };
+}
+
+async function payloadKeyFromSecret(bits, salt) {
+  const ikm = await crypto.subtle.importKey("raw", bits, "HKDF", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt, info: HKDF_INFO },
+    ikm,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// sender side; resolves to { key, kdf } where kdf goes into the header
+export async function deriveKeyForRecipient(recipientPublicKey, salt) {
+  if (!isP256PublicKey(recipientPublicKey)) throw new BurnZipError(ErrorCode.INVALID_INPUT, "Not a P-256 public key");
+  const recipient = await crypto.subtle.importKey("raw", recipientPublicKey, ECDH_PARAMS, false, []);
+  const ephemeral = await crypto.subtle.generateKey(ECDH_PARAMS, true, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "ECDH", public: recipient }, ephemeral.privateKey, 256);
+  const ephemeralPublicKey = new Uint8Array(await crypto.subtle.exportKey("raw", ephemeral.publicKey));
+  return {
+    key: await payloadKeyFromSecret(bits, salt),
+    kdf: { id: KDF_ECDH_P256, ephemeralPublicKey, recipientKeyId: await keyIdFor(recipientPublicKey) },
+  };
+}
+
+// recipient side
+export async function deriveKeyFromPrivateKey(privateKey, salt, kdf) {
+  const ephemeral = await crypto.subtle.importKey("raw", kdf.ephemeralPublicKey, ECDH_PARAMS, false, []);
+  const bits = await crypto.subtle.deriveBits({ name: "ECDH", public: ephemeral }, privateKey, 256);
+  return payloadKeyFromSecret(bits, salt);
+}
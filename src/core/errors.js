@@ -0,0 +1,39 @@
+// Typed failures. Every error core throws on purpose is a BurnZipError whose
+// `code` says what went wrong, so callers can tell a wrong code from a cut-off
+// link without matching on message text. Messages are written for end users.
+
+export const ErrorCode = Object.freeze({
+  MALFORMED_LINK: "MALFORMED_LINK", // not valid base64 / not a BurnZip link
+  MALFORMED_PAYLOAD: "MALFORMED_PAYLOAD", // header can't be parsed
+  UNSUPPORTED: "UNSUPPORTED", // newer container version or unknown KDF
+  TRUNCATED: "TRUNCATED", // shorter than its header says
+  TAMPERED: "TAMPERED", // right key, but the bytes were altered
+  WRONG_CODE: "WRONG_CODE",
+  DECRYPT_FAILED: "DECRYPT_FAILED", // wrong code or altered; payloads without a key check can't tell
+  EXPIRED: "EXPIRED",
+  MISSING_KEY: "MISSING_KEY", // sent to a request key this side doesn't hold
+  INVALID_INPUT: "INVALID_INPUT", // caller error, e.g. a code that is too short
+  BAD_SHARE: "BAD_SHARE", // a code share that is damaged or from another split
+});
+
+export class BurnZipError extends Error {
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = "BurnZipError";
+    this.code = code;
+  }
+}
+
+export function isBurnZipError(e, code) {
+  return Boolean(e && e.name === "BurnZipError" && (!code || e.code === code));
+}
+
+// errors cross worker boundaries as plain objects; these keep the code intact
+export function serializeError(e) {
+  return { name: e && e.name, code: e && e.code, message: (e && e.message) || String(e) };
+}
+
+export function deserializeError(data) {
+  if (data && data.name === "BurnZipError") return new BurnZipError(data.code, data.message);
+  return new Error(data && data.message);
+}
@@ -0,0 +1,205 @@
+/**
+ * burnzip-core: the BurnZip payload format, encryption and share links.
+ *
+ * Runs unchanged in the browser and on Node >= 20 (global WebCrypto and Blob).
+ * The web app, the crypto worker and the `burnzip` CLI all build on it, so a
+ * link made by one opens in the others.
+ *
+ *   const { payload, deleteToken } = await encrypt(bytes, { code, filename });
+ *   const link = embeddedLink(new Uint8Array(await payload.arrayBuffer()), appUrl);
+ *   const { data, meta } = await decrypt(parseShareLink(link).payload, code);
+ *
+ * Codes are normalised (see normalizeCode) before key derivation, as the app does.
+ * Instead of a code, a payload can be encrypted to a recipient's P-256 public
+ * key (options.recipientKey, see ecdh.js); decrypt then takes that recipient's
+ * private CryptoKey where it would take the code.
+ *
+ * Small plaintexts are deflated before encryption when that makes them
+ * smaller (see compress.js); links use unpadded base64url.
+ *
+ * A sender can also sign what they send (options.signer, see sign.js); decrypt
+ * checks the signature and reports who signed.
+ *
+ * The code can be handed out as k-of-n shares (splitCode / combineCodeShares,
+ * see shamir.js); the rebuilt code decrypts like any other.
+ *
+ * Failures are BurnZipErrors (see errors.js) whose `code` tells a wrong code
+ * from a truncated, altered or expired payload.
+ */
+import { toBlob } from "./bytes.js";
+import { DEFAULT_KDF, KDF_ECDH_P256, MIN_CODE_LENGTH, normalizeCode, validateKdf, deriveKeyFromCode } from "./kdf.js";
+import { deriveKeyForRecipient, deriveKeyFromPrivateKey } from "./ecdh.js";
+import {
+  encryptArrayBuffer,
+  decryptArrayBuffer,
+  createDeleteToken,
+  openDeleteToken,
+  sealChunked,
+  openChunked,
+  computeKeyCheck,
+  verifyKeyCheck,
+  authFailure,
+} from "./aead.js";
+import { encodeHeader, packageEncrypted, readContainerHeader, unpackageEncrypted, isPayloadExpired, checkPayloadLength } from "./container.js";
+import { MAX_COMPRESS_INPUT_BYTES, compressPlaintext, decompressBytes } from "./compress.js";
+import { signPayload, verifyPayloadSignature, unsignedPart } from "./sign.js";
+import { BurnZipError, ErrorCode } from "./errors.js";
+
+export * from "./errors.js";
+export * from "./bytes.js";
+export * from "./kdf.js";
+export * from "./aead.js";
+export * from "./container.js";
+export * from "./ecdh.js";
+export * from "./link.js";
+export * from "./compress.js";
+export * from "./sign.js";
+export * from "./shamir.js";
+
+export const MAX_EMBED_BYTES = 96 * 1024; // safe embed threshold ~96KB
+export const STREAM_SEGMENT_SIZE = 1024 * 1024; // plaintext bytes per chunked-AEAD segment
+
+// secret: the code, or the recipient's private CryptoKey for public-key payloads.
+// meta: the payload's { version, salt, kdf }
+export function deriveKeyFor(secret, meta) {
+  if (meta.kdf.id === KDF_ECDH_P256) {
+    if (!secret || typeof secret === "string") {
+      throw new BurnZipError(ErrorCode.MISSING_KEY, "This payload can only be opened with the recipient's private key");
+    }
+    return deriveKeyFromPrivateKey(secret, meta.salt, meta.kdf);
+  }
+  // v0 senders hashed the code as typed, upper-cased but spaces and all
+  const code = meta.version === 0 ? (secret || "").toUpperCase() : normalizeCode(secret);
+  return deriveKeyFromCode(code, meta.salt, meta.kdf);
+}
+
+/**
+ * Encrypts `input` (Blob, bytes or string) into a container.
+ *
+ * options:
+ *   code         at least MIN_CODE_LENGTH characters once normalised, or
+ *   recipientKey raw P-256 public key from a request link (no code needed)
+ *   filename     default "message.txt"
+ *   mime         default: the Blob's type, else application/octet-stream
+ *   kdf          default DEFAULT_KDF (PBKDF2-SHA256)
+ *   bundle       true if the plaintext is a multi-file ZIP
+ *   expiresAt    ms since epoch, or null
+ *   maxOpens     enforced by the blob store, or null
+ *   deleteToken  true to seal a blob-store delete token into the header
+ *   signer       { privateKey, publicKey } from generateSenderKeyPair, to sign the payload
+ *   compress     deflate first if that shrinks it (default true); never for chunked payloads
+ *   chunked      segment-by-segment AEAD; default: input (compressed, if it was) over MAX_EMBED_BYTES
+ *   onProgress   ({ done, total }) => void, chunked mode only
+ *   sealChunked  replaces aead.js sealChunked, e.g. to seal the segments in a worker
+ *
+ * Resolves to { payload: Blob, deleteToken: { token, tokenHash } | null }.
+ */
+export async function encrypt(input, options) {
+  const blob = toBlob(input);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  let key;
+  let kdf;
+  if (options.recipientKey) {
+    ({ key, kdf } = await deriveKeyForRecipient(options.recipientKey, salt));
+  } else {
+    const code = normalizeCode(options.code);
+    if (code.length < MIN_CODE_LENGTH) throw new BurnZipError(ErrorCode.INVALID_INPUT, `Code must be at least ${MIN_CODE_LENGTH} characters`);
+    kdf = options.kdf || DEFAULT_KDF;
+    validateKdf(kdf);
+    key = await deriveKeyFromCode(code, salt, kdf);
+  }
+
+  let deleteToken = null;
+  const meta = {
+    salt,
+    filename: options.filename || "message.txt",
+    mime: options.mime || blob.type || (typeof input === "string" ? "text/plain;charset=utf-8" : "application/octet-stream"),
+    size: blob.size,
+    createdAt: Date.now(),
+    kdf,
+    bundle: Boolean(options.bundle),
+    expiresAt: options.expiresAt || null,
+    maxOpens: options.maxOpens || null,
+    keyCheck: await computeKeyCheck(key),
+    signer: options.signer ? options.signer.publicKey : null,
+  };
+  if (options.deleteToken) {
+    deleteToken = await createDeleteToken(key);
+    meta.deleteToken = deleteToken.sealed;
+  }
+
+  // compression is only worth it, and only supported, for single-shot payloads
+  let compressed = null;
+  if (options.compress !== false && options.chunked !== true && blob.size <= MAX_COMPRESS_INPUT_BYTES) {
+    compressed = await compressPlaintext(new Uint8Array(await blob.arrayBuffer()), meta.mime);
+  }
+  const chunked = options.chunked != null ? options.chunked : (compressed ? compressed.data.length : blob.size) > MAX_EMBED_BYTES;
+  let payload;
+  let header;
+  if (chunked) {
+    const noncePrefix = crypto.getRandomValues(new Uint8Array(7));
+    header = encodeHeader({ ...meta, segmentSize: STREAM_SEGMENT_SIZE, noncePrefix });
+    const seal = options.sealChunked || sealChunked;
+    const sealed = await seal(key, blob, { aad: header, noncePrefix, segmentSize: STREAM_SEGMENT_SIZE, onProgress: options.onProgress });
+    payload = new Blob([header, sealed], { type: "application/octet-stream" });
+  } else {
+    header = encodeHeader({ ...meta, compression: compressed && compressed.compression });
+    const plaintext = compressed ? compressed.data : new Uint8Array(await blob.arrayBuffer());
+    const encrypted = await encryptArrayBuffer(key, plaintext, header);
+    payload = new Blob([packageEncrypted(header, encrypted)], { type: "application/octet-stream" });
+  }
+  if (options.signer) {
+    const signature = await signPayload(options.signer.privateKey, payload, header.length);
+    payload = new Blob([payload, signature], { type: "application/octet-stream" });
+  }
+  return { payload, deleteToken: deleteToken && { token: deleteToken.token, tokenHash: deleteToken.tokenHash } };
+}
+
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+/**
+ * Decrypts a container (v0 or v1, single-shot or chunked). `secret` is the
+ * code, or the recipient's private CryptoKey for public-key payloads.
+ * options: { onProgress, openChunked, verifiedSigner } where openChunked
+ * replaces aead.js openChunked for chunked payloads, and verifiedSigner is what
+ * verifyPayloadSignature already returned for this same payload: the
+ * signature is then not checked again if it names the header's signer key.
+ * Resolves to { data: Blob, meta, deleteToken, signer } where deleteToken is
+ * the unsealed blob-store token, or null, and signer is { publicKey, keyId }
+ * for signed payloads, or null. data is null if openChunked delivered the
+ * plaintext itself. Rejects for expired payloads, and checks the
+ * payload's length and signature before deriving a key.
+ */
+export async function decrypt(payload, secret, options = {}) {
+  const signed = toBlob(payload);
+  const head = await readContainerHeader(signed);
+  if (isPayloadExpired(head)) throw new BurnZipError(ErrorCode.EXPIRED, `This link expired on ${new Date(head.expiresAt).toISOString()}`);
+  checkPayloadLength(head, signed.size);
+  const known = options.verifiedSigner;
+  const signer = known && head && head.signer && sameBytes(known.publicKey, head.signer) ? known : await verifyPayloadSignature(signed, head);
+  const blob = unsignedPart(signed, head);
+
+  if (head && head.segmentSize) {
+    const key = await deriveKeyFor(secret, head);
+    const keyChecked = await verifyKeyCheck(key, head);
+    const open = options.openChunked || openChunked;
+    const opts = { offset: head.aad.length, aad: head.aad, noncePrefix: head.noncePrefix, segmentSize: head.segmentSize, size: head.size, mime: head.mime, keyChecked, onProgress: options.onProgress };
+    const data = await open(key, blob, opts);
+    return { data, meta: head, deleteToken: await openDeleteToken(key, head), signer };
+  }
+
+  const meta = unpackageEncrypted(new Uint8Array(await blob.arrayBuffer()));
+  const key = await deriveKeyFor(secret, meta);
+  const keyChecked = await verifyKeyCheck(key, meta);
+  let plain;
+  try {
+    plain = await decryptArrayBuffer(key, meta.encrypted, meta.aad);
+  } catch (e) {
+    throw authFailure(keyChecked);
+  }
+  if (meta.compression) plain = await decompressBytes(new Uint8Array(plain), meta.compression.id, meta.size);
+  const { encrypted, ...header } = meta;
+  return { data: new Blob([plain], { type: meta.mime }), meta: header, deleteToken: await openDeleteToken(key, meta), signer };
+}
@@ -0,0 +1,74 @@
+// Code -> AES-GCM key. The KDF and its parameters are recorded in the header.
+import { BurnZipError, ErrorCode } from "./errors.js";
+
+export const KDF_PBKDF2_SHA256 = 1;
+export const KDF_ARGON2ID = 2;
+export const KDF_SCRYPT = 3;
+export const KDF_ECDH_P256 = 4; // no code: encrypted to a recipient's public key, see ecdh.js
+const DEFAULT_PBKDF2_ITERATIONS = 200000;
+
+// memory is in KiB (Argon2id), n is the scrypt cost factor
+export const KDF_PRESETS = {
+  pbkdf2: { id: KDF_PBKDF2_SHA256, iterations: DEFAULT_PBKDF2_ITERATIONS },
+  argon2id: { id: KDF_ARGON2ID, iterations: 3, memory: 64 * 1024, parallelism: 1 },
+  scrypt: { id: KDF_SCRYPT, n: 1 << 15, r: 8, p: 1 },
+};
+export const DEFAULT_KDF = KDF_PRESETS.pbkdf2;
+
+export const MIN_CODE_LENGTH = 8;
+const MAX_KDF_MEMORY_BYTES = 1024 * 1024 * 1024; // Argon2id memory, scrypt's 128·n·r
+
+// what both sides feed into the KDF: trimmed, upper-case, whitespace runs -> "-"
+export function normalizeCode(code) {
+  return (code || "").trim().toUpperCase().replace(/\s+/g, "-");
+}
+
+export function kdfPresetName(kdf) {
+  return Object.keys(KDF_PRESETS).find((name) => KDF_PRESETS[name].id === kdf.id);
+}
+
+// the header is attacker-controlled: refuse parameters that would hang or exhaust the recipient
+export function validateKdf(kdf) {
+  const inRange = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+  const ok =
+    (kdf.id === KDF_PBKDF2_SHA256 && inRange(kdf.iterations, 1000, 10000000)) ||
+    (kdf.id === KDF_ARGON2ID && inRange(kdf.iterations, 1, 20) && inRange(kdf.memory, 8 * 1024, MAX_KDF_MEMORY_BYTES / 1024) && inRange(kdf.parallelism, 1, 16)) ||
+    (kdf.id === KDF_SCRYPT && inRange(kdf.n, 1 << 10, 1 << 20) && (kdf.n & (kdf.n - 1)) === 0 && inRange(kdf.r, 1, 32) && inRange(kdf.p, 1, 16) && 128 * kdf.n * kdf.r <= MAX_KDF_MEMORY_BYTES) ||
+    (kdf.id === KDF_ECDH_P256 && kdf.ephemeralPublicKey && kdf.ephemeralPublicKey.length === 65 && kdf.recipientKeyId && kdf.recipientKeyId.length === 8);
+  if (!ok) throw new BurnZipError(ErrorCode.UNSUPPORTED, `Unsupported or out-of-range KDF parameters (id ${kdf.id})`);
+}
+
+// code must already be normalised (see normalizeCode)
+export async function deriveKeyFromCode(code, salt, kdf = DEFAULT_KDF) {
+  if (kdf.id === KDF_ECDH_P256) throw new BurnZipError(ErrorCode.MISSING_KEY, "This payload was encrypted to a recipient key, not a code");
+  const subtle = crypto.subtle;
+  const enc = new TextEncoder();
+  if (kdf.id === KDF_ARGON2ID || kdf.id === KDF_SCRYPT) {
+    // memory-hard KDFs come from WASM, loaded on first use
+    const { argon2id, scrypt } = await import("hash-wasm");
+    const raw =
+      kdf.id === KDF_ARGON2ID
+        ? await argon2id({ password: enc.encode(code), salt, iterations: kdf.iterations, memorySize: kdf.memory, parallelism: kdf.parallelism, hashLength: 32, outputType: "binary" })
+        : await scrypt({ password: enc.encode(code), salt, costFactor: kdf.n, blockSize: kdf.r, parallelism: kdf.p, hashLength: 32, outputType: "binary" });
+    return subtle.importKey("raw", raw, { name: "AES-GCM" }, false, ["encrypt", "decrypt"]);
+  }
+  const passKey = await subtle.importKey(
+    "raw",
+    enc.encode(code),
+    { name: "PBKDF2" },
+    false,
+    ["deriveKey"]
+  );
+  return subtle.deriveKey(
+    {
+      name: "PBKDF2",
+      salt,
+      iterations: kdf.iterations,
+      hash: "SHA-256",
+    },
+    passKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
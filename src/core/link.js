@@ -0,0 +1,64 @@
+// Share links. Small payloads travel in the fragment (#share:<base64url>), which
+// browsers never send to the server; bigger ones are a blob-store id (#id:<id>).
+// Request links (#request:<base64url>) carry a recipient's public key, see ecdh.js.
+// Links made before base64url used standard base64; both still parse.
+import { u8ToBase64Url, base64UrlToU8, base64UrlLength } from "./bytes.js";
+import { isP256PublicKey } from "./ecdh.js";
+import { BurnZipError, ErrorCode } from "./errors.js";
+
+export const DEFAULT_APP_URL = "https://burnzip.co.uk/";
+
+function withoutFragment(appUrl) {
+  return appUrl.split("#")[0];
+}
+
+export function embeddedLink(payloadU8, appUrl = DEFAULT_APP_URL) {
+  return `${withoutFragment(appUrl)}#share:${u8ToBase64Url(payloadU8)}`;
+}
+
+// length of the embedded link a payload of `payloadSize` bytes would make
+export function embeddedLinkLength(payloadSize, appUrl = DEFAULT_APP_URL) {
+  return `${withoutFragment(appUrl)}#share:`.length + base64UrlLength(payloadSize);
+}
+
+export function storedLink(shortId, appUrl = DEFAULT_APP_URL) {
+  return `${withoutFragment(appUrl)}#id:${shortId}`;
+}
+
+export function requestLink(publicKey, appUrl = DEFAULT_APP_URL) {
+  return `${withoutFragment(appUrl)}#request:${u8ToBase64Url(publicKey)}`;
+}
+
+// chat apps wrap, percent-encode or cut long links; undo what can be undone and
+// decode a cut-off payload up to the cut, so the length check can report it
+function decodeSharePayload(text) {
+  let b64 = text.replace(/\s+/g, "");
+  if (b64.includes("%")) {
+    try {
+      b64 = decodeURIComponent(b64);
+    } catch (e) {
+      // not percent-encoding after all; the check below rejects it
+    }
+  }
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(b64)) {
+    throw new BurnZipError(ErrorCode.MALFORMED_LINK, "This link is damaged: its payload contains characters that don't belong there.");
+  }
+  const unpadded = b64.replace(/=+$/, "");
+  return base64UrlToU8(unpadded.slice(0, unpadded.length - (unpadded.length % 4 === 1 ? 1 : 0)));
+}
+
+// accepts a full link or just its fragment; returns { payload } | { shortId } | { requestKey } | null.
+// Throws MALFORMED_LINK for a #share: link whose payload can't be decoded.
+export function parseShareLink(link) {
+  const text = (link || "").trim();
+  const share = /#share:(.*)$/s.exec(text);
+  if (share) return { payload: decodeSharePayload(share[1]) };
+  const id = /#id:([A-Za-z0-9_-]+)$/.exec(text);
+  if (id) return { shortId: id[1] };
+  const request = /#request:([A-Za-z0-9+/=_-]+)$/.exec(text);
+  if (request) {
+    const requestKey = base64UrlToU8(request[1]);
+    return isP256PublicKey(requestKey) ? { requestKey } : null;
+  }
+  return null;
+}
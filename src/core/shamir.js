@@ -0,0 +1,126 @@
+// k-of-n code shares (Shamir's secret sharing over GF(256)). The code is split
+// into n tokens so that any k of them rebuild it and fewer say nothing about
+// it; the rebuilt code then goes through the usual key derivation.
+//
+// A token is SHARE_PREFIX + base64url of
+//   threshold u8 | index u8 | set id (4 bytes) | share bytes | check (2 bytes)
+// The set id keeps tokens of different splits apart; the check (truncated
+// SHA-256) catches a mistyped or cut-off token before it spoils the rest.
+import { BurnZipError, ErrorCode } from "./errors.js";
+import { u8ToBase64Url, base64UrlToU8, bytesToHex } from "./bytes.js";
+import { normalizeCode } from "./kdf.js";
+
+export const SHARE_PREFIX = "BZS1-";
+export const MAX_SHARES = 255;
+const SET_ID_BYTES = 4;
+const CHECK_BYTES = 2;
+const SHARE_OVERHEAD = 2 + SET_ID_BYTES + CHECK_BYTES;
+
+// GF(2^8) with the AES polynomial; 3 generates the multiplicative group
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = EXP[i + 255] = x;
+  LOG[x] = i;
+  x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+}
+
+function mul(a, b) {
+  return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+}
+
+function div(a, b) {
+  return a ? EXP[LOG[a] + 255 - LOG[b]] : 0;
+}
+
+// Resolves to `count` arrays of share bytes for x = 1..count
+export function splitBytes(secret, threshold, count) {
+  if (!(Number.isInteger(threshold) && Number.isInteger(count) && threshold >= 2 && threshold <= count && count <= MAX_SHARES)) {
+    throw new BurnZipError(ErrorCode.INVALID_INPUT, `Shares must be at least 2 of at most ${MAX_SHARES}, with the threshold no higher than the count.`);
+  }
+  const shares = Array.from({ length: count }, () => new Uint8Array(secret.length));
+  const coefficients = new Uint8Array(threshold - 1);
+  for (let i = 0; i < secret.length; i++) {
+    crypto.getRandomValues(coefficients);
+    for (let s = 0; s < count; s++) {
+      // Horner's rule at x = s + 1, constant term = the secret byte
+      const x = s + 1;
+      let y = 0;
+      for (let c = coefficients.length - 1; c >= 0; c--) y = mul(y ^ coefficients[c], x);
+      shares[s][i] = y ^ secret[i];
+    }
+  }
+  return shares;
+}
+
+// shares: [{ index, bytes }] with distinct indexes; Lagrange interpolation at x = 0
+export function combineBytes(shares) {
+  const out = new Uint8Array(shares[0].bytes.length);
+  for (const { index, bytes } of shares) {
+    let basis = 1;
+    for (const other of shares) {
+      if (other.index !== index) basis = mul(basis, div(other.index, other.index ^ index));
+    }
+    for (let i = 0; i < out.length; i++) out[i] ^= mul(bytes[i], basis);
+  }
+  return out;
+}
+
+async function checkBytes(body) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", body)).subarray(0, CHECK_BYTES);
+}
+
+// Resolves to `count` share tokens, any `threshold` of which rebuild the (normalised) code
+export async function splitCode(code, threshold, count) {
+  const secret = new TextEncoder().encode(normalizeCode(code));
+  const setId = crypto.getRandomValues(new Uint8Array(SET_ID_BYTES));
+  return Promise.all(
+    splitBytes(secret, threshold, count).map(async (bytes, s) => {
+      const token = new Uint8Array(SHARE_OVERHEAD + bytes.length);
+      token.set([threshold, s + 1], 0);
+      token.set(setId, 2);
+      token.set(bytes, 2 + SET_ID_BYTES);
+      const body = token.subarray(0, token.length - CHECK_BYTES);
+      token.set(await checkBytes(body), body.length);
+      return SHARE_PREFIX + u8ToBase64Url(token);
+    })
+  );
+}
+
+export function isCodeShare(text) {
+  return (text || "").trim().startsWith(SHARE_PREFIX);
+}
+
+// Resolves to { setId, threshold, index, bytes }; throws BAD_SHARE for a damaged token
+export async function parseCodeShare(text) {
+  const damaged = () => new BurnZipError(ErrorCode.BAD_SHARE, "This code share is damaged.");
+  if (!isCodeShare(text)) throw damaged();
+  let token;
+  try {
+    token = base64UrlToU8(text.trim().slice(SHARE_PREFIX.length));
+  } catch (e) {
+    throw damaged();
+  }
+  if (token.length <= SHARE_OVERHEAD) throw damaged();
+  const body = token.subarray(0, token.length - CHECK_BYTES);
+  const check = await checkBytes(body);
+  if (!check.every((b, i) => b === token[body.length + i])) throw damaged();
+  const [threshold, index] = token;
+  if (threshold < 2 || !index) throw damaged();
+  return { setId: bytesToHex(token.subarray(2, 2 + SET_ID_BYTES)), threshold, index, bytes: body.slice(2 + SET_ID_BYTES) };
+}
+
+// shares: parsed tokens (see parseCodeShare), at least `threshold` of one set.
+// Returns the code they were split from.
+export function combineCodeShares(shares) {
+  const [first] = shares;
+  if (!first) throw new BurnZipError(ErrorCode.INVALID_INPUT, "No code shares given.");
+  if (shares.some((s) => s.setId !== first.setId || s.threshold !== first.threshold || s.bytes.length !== first.bytes.length)) {
+    throw new BurnZipError(ErrorCode.BAD_SHARE, "These code shares come from different splits.");
+  }
+  const distinct = [...new Map(shares.map((s) => [s.index, s])).values()];
+  if (distinct.length < first.threshold) {
+    throw new BurnZipError(ErrorCode.INVALID_INPUT, `${first.threshold} different code shares are needed; ${distinct.length} given.`);
+  }
+  return new TextDecoder().decode(combineBytes(distinct.slice(0, first.threshold)));
+}
@@ -0,0 +1,65 @@
+// Sender signatures. Anyone who knows a payload's code can make a payload that
+// decrypts with it, so the code says nothing about who sent it. A sender can
+// keep an ECDSA P-256 key pair and sign what they send: the header names the
+// signer's public key (TAG_SIGNER) and a 64-byte signature trails the payload.
+// The signature covers the header and the ciphertext, which recipients check
+// before any key is derived; only pinning tells a known sender from a stranger.
+//
+// Payloads can be gigabytes and WebCrypto can't hash incrementally, so what is
+// signed is the header followed by the SHA-256 of each 1 MiB block of the rest.
+import { BurnZipError, ErrorCode } from "./errors.js";
+import { isP256PublicKey, keyIdFor } from "./ecdh.js";
+
+const ECDSA_PARAMS = { name: "ECDSA", namedCurve: "P-256" };
+const ECDSA_SIGN = { name: "ECDSA", hash: "SHA-256" };
+export const SIGNATURE_BYTES = 64; // r | s
+const SIGN_BLOCK_BYTES = 1024 * 1024;
+
+// the private key is non-extractable, like request-link keys (see ecdh.js)
+export async function generateSenderKeyPair() {
+  const pair = await crypto.subtle.generateKey(ECDSA_PARAMS, false, ["sign", "verify"]);
+  const publicKey = new Uint8Array(await crypto.subtle.exportKey("raw", pair.publicKey));
+  return { privateKey: pair.privateKey, publicKey, keyId: await keyIdFor(publicKey) };
+}
+
+// unsigned: the whole payload, without its trailing signature
+async function signedMessage(unsigned, headerLength) {
+  const parts = [new Uint8Array(await unsigned.slice(0, headerLength).arrayBuffer())];
+  for (let pos = headerLength; pos < unsigned.size; pos += SIGN_BLOCK_BYTES) {
+    const block = await unsigned.slice(pos, Math.min(pos + SIGN_BLOCK_BYTES, unsigned.size)).arrayBuffer();
+    parts.push(new Uint8Array(await crypto.subtle.digest("SHA-256", block)));
+  }
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// unsigned: Blob of header + ciphertext, where the header carries the signer's key.
+// Resolves to the signature to append.
+export async function signPayload(privateKey, unsigned, headerLength) {
+  const signature = await crypto.subtle.sign(ECDSA_SIGN, privateKey, await signedMessage(unsigned, headerLength));
+  return new Uint8Array(signature);
+}
+
+// the payload without its signature, for decryption
+export function unsignedPart(blob, meta) {
+  return meta && meta.signer ? blob.slice(0, blob.size - SIGNATURE_BYTES) : blob;
+}
+
+// meta: the parsed header. Resolves to null for unsigned payloads, or
+// { publicKey, keyId } of the signer; throws TAMPERED if the signature is wrong.
+export async function verifyPayloadSignature(blob, meta) {
+  if (!meta || !meta.signer) return null;
+  if (!isP256PublicKey(meta.signer)) throw new BurnZipError(ErrorCode.MALFORMED_PAYLOAD, "This payload's signer key is damaged.");
+  const signature = await blob.slice(blob.size - SIGNATURE_BYTES).arrayBuffer();
+  const publicKey = await crypto.subtle.importKey("raw", meta.signer, ECDSA_PARAMS, false, ["verify"]);
+  const message = await signedMessage(unsignedPart(blob, meta), meta.aad.length);
+  if (!(await crypto.subtle.verify(ECDSA_SIGN, publicKey, signature, message))) {
+    throw new BurnZipError(ErrorCode.TAMPERED, "This payload's signature doesn't match: it was changed after it was signed.");
+  }
+  return { publicKey: meta.signer, keyId: await keyIdFor(meta.signer) };
+}
@@ -0,0 +1,98 @@
+/* eslint-disable no-restricted-globals */
+import { TAG_BYTES, segmentCount, openSegment, openSegments, sealChunked, openChunked, serializeError } from "./core";
+
+/**
+ * Chunked AES-GCM encryption/decryption, run off the main thread: the app
+ * hands these jobs to core's encrypt/decrypt as their sealChunked and
+ * openChunked hooks (see App.js).
+ *
+ * The segment format lives in core/aead.js. Only one segment is held in
+ * memory at a time; output is collected as Blob parts (which the browser can
+ * page to disk) or streamed to a MessagePort.
+ *
+ * Jobs (posted by cryptoWorker.js):
+ *   { type: "encrypt", key, file, aad, noncePrefix, segmentSize }        -> Blob
+ *   { type: "verify",  key, blob, offset, aad, noncePrefix, segmentSize, keyChecked } -> true
+ *   { type: "decrypt", key, blob, offset, aad, noncePrefix, segmentSize, size, mime, keyChecked, port? }
+ *       -> Blob, or null when the plaintext was streamed to `port`
+ * Replies: { type: "progress", done, total } | { type: "done", result } | { type: "error", name, code, message }
+ */
+
+const postProgress = (p) => self.postMessage({ type: "progress", ...p });
+
+function encryptFile(job) {
+  return sealChunked(job.key, job.file, { ...job, onProgress: postProgress });
+}
+
+// checks the code against the first segment before any download starts
+async function verifyFirstSegment(job) {
+  const segCipher = job.segmentSize + TAG_BYTES;
+  const count = segmentCount(job.blob.size - job.offset, job.segmentSize);
+  const cipher = await job.blob.slice(job.offset, Math.min(job.offset + segCipher, job.blob.size)).arrayBuffer();
+  await openSegment(job.key, cipher, { aad: job.aad, noncePrefix: job.noncePrefix, index: 0, final: count === 1, keyChecked: job.keyChecked });
+  return true;
+}
+
+// writes plaintext to a download stream held by the service worker; waits for
+// a "pull" before each chunk so the stream, not this worker, sets the pace
+function portSink(port) {
+  let credits = 0;
+  let cancelled = false;
+  let wake = null;
+  port.onmessage = (e) => {
+    if (e.data.type === "pull") credits++;
+    else if (e.data.type === "cancel") cancelled = true;
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+  const nextMessage = () => new Promise((resolve) => (wake = resolve));
+  return {
+    async write(buf) {
+      while (!credits && !cancelled) await nextMessage();
+      if (cancelled) throw new Error("Download was cancelled.");
+      credits--;
+      port.postMessage({ type: "chunk", data: buf }, [buf]);
+    },
+    close() {
+      port.postMessage({ type: "end" });
+      return null;
+    },
+    abort(message) {
+      port.postMessage({ type: "error", message });
+    },
+  };
+}
+
+async function decryptBlob(job) {
+  if (!job.port) return openChunked(job.key, job.blob, { ...job, onProgress: postProgress });
+  const sink = portSink(job.port);
+  try {
+    for await (const seg of openSegments(job.key, job.blob, job)) {
+      await sink.write(seg.data);
+      postProgress({ done: seg.done, total: job.size });
+    }
+  } catch (e) {
+    sink.abort(e.message);
+    throw e;
+  }
+  return sink.close();
+}
+
+const handlers = { encrypt: encryptFile, verify: verifyFirstSegment, decrypt: decryptBlob };
+
+self.onmessage = async (e) => {
+  const job = e.data;
+  const handler = handlers[job && job.type];
+  if (!handler) {
+    self.postMessage({ type: "error", message: `Unknown job ${job && job.type}` });
+    return;
+  }
+  try {
+    const result = await handler(job);
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", ...serializeError(err) });
+  }
+};
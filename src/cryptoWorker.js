@@ -0,0 +1,42 @@
+import { deserializeError } from "./core";
+
+/**
+ * Main-thread side of crypto.worker.js.
+ *
+ * Each job runs in its own worker, which is terminated when the job settles
+ * or is cancelled. Returns { promise, cancel }; cancel() rejects the promise
+ * with an AbortError. Job failures keep their BurnZipError code.
+ */
+export function runCryptoJob(job, transfer = [], onProgress) {
+  const worker = new Worker(new URL("./crypto.worker.js", import.meta.url));
+  let settle;
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === "progress") {
+      if (onProgress) onProgress(msg);
+    } else if (msg.type === "done") {
+      worker.terminate();
+      settle.resolve(msg.result);
+    } else if (msg.type === "error") {
+      worker.terminate();
+      settle.reject(deserializeError(msg));
+    }
+  };
+  worker.onerror = (e) => {
+    worker.terminate();
+    settle.reject(new Error(e.message || "Crypto worker failed"));
+  };
+  worker.postMessage(job, transfer);
+
+  return {
+    promise,
+    cancel() {
+      worker.terminate();
+      settle.reject(new DOMException("Cancelled", "AbortError"));
+    },
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Embed mode: a host page (an internal portal, say) shows BurnZip's recipient
+ * view or uploader in an iframe, directly or through the <burnzip-widget>
+ * element in public/burnzip-widget.js:
+ *
+ *   <iframe src="https://burnzip.co.uk/?embed=receive&origin=https://portal.example#id:..."
+ *           allow="clipboard-write; camera" style="border: 0; width: 100%"></iframe>
+ *
+ * ?embed= is "receive" or "send" and ?origin= is the host page's origin. Events
+ * are posted to that origin only. Without both, or outside a frame, the page is
+ * the normal app.
+ *
+ * Events, posted to the host as { source: "burnzip", type, ...detail }:
+ *   ready              { view }
+ *   resize             { height } of the content, in CSS pixels
+ *   link-generated     { url, shortId, size, filename, expiresAt, maxOpens, signed, shares }
+ *                      never the code, which has to reach the recipient another way
+ *   payload-decrypted  { filename, mime, size, bundle, signer } with signer the
+ *                      signing key's fingerprint, or null
+ *   error              { code, key }: the ErrorCode (core/errors.js) or null, and
+ *                      the catalog key of the message shown
+ *
+ * Messages from the host, as { target: "burnzip", type, ... }:
+ *   theme  { theme }  tokens from theme.js, e.g. { accent: "#7a2ff0" }
+ *   open   { link }   a #share: or #id: link to decrypt, or a #request: link to send to
+ *
+ * The host gets events and metadata, never plaintext: decrypted data stays in
+ * the frame, which a host on another origin can't read. That only holds when
+ * the host is on a different origin from BurnZip.
+ */
+
+export const EMBED_PARAM = "embed";
+export const EMBED_ORIGIN_PARAM = "origin";
+const EMBED_VIEWS = ["receive", "send"];
+
+// { view, hostOrigin }, or null when not embedded
+export function readEmbedConfig(location = window.location, framed = window.parent !== window) {
+  const params = new URLSearchParams(location.search);
+  const view = params.get(EMBED_PARAM);
+  if (!framed || !EMBED_VIEWS.includes(view)) return null;
+  let hostOrigin;
+  try {
+    hostOrigin = new URL(params.get(EMBED_ORIGIN_PARAM)).origin;
+  } catch (e) {
+    return null;
+  }
+  return hostOrigin === "null" ? null : { view, hostOrigin };
+}
+
+export const embedConfig = readEmbedConfig();
+
+export function notifyHost(config, type, detail = {}) {
+  if (!config) return;
+  window.parent.postMessage({ source: "burnzip", type, ...detail }, config.hostOrigin);
+}
+
+// handlers: { [type]: (message) => void }, called for the host's messages only.
+// Returns a function that stops listening.
+export function listenToHost(config, handlers) {
+  const onMessage = (e) => {
+    if (e.origin !== config.hostOrigin || e.source !== window.parent) return;
+    const data = e.data;
+    if (!data || data.target !== "burnzip" || !Object.prototype.hasOwnProperty.call(handlers, data.type)) return;
+    handlers[data.type](data);
+  };
+  window.addEventListener("message", onMessage);
+  return () => window.removeEventListener("message", onMessage);
+}
+
+// keeps the host's iframe as tall as the content
+export function reportHeight(config) {
+  if (typeof ResizeObserver === "undefined") return () => {};
+  let last = 0;
+  const observer = new ResizeObserver(() => {
+    // the body rather than the document, whose height never drops below the frame's
+    const style = window.getComputedStyle(document.body);
+    const height = Math.ceil(document.body.getBoundingClientRect().height + parseFloat(style.marginTop) + parseFloat(style.marginBottom));
+    if (height === last) return;
+    last = height;
+    notifyHost(config, "resize", { height });
+  });
+  observer.observe(document.body);
+  return () => observer.disconnect();
+}
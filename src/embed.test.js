@@ -0,0 +1,45 @@
+import { readEmbedConfig, notifyHost, listenToHost } from "./embed";
+import { applyTheme, theme } from "./theme";
+
+const HOST = "https://portal.example";
+const at = (search) => ({ search });
+
+describe("embed mode", () => {
+  test("needs a frame, a known view and the host's origin", () => {
+    expect(readEmbedConfig(at(`?embed=send&origin=${HOST}/some/page`), true)).toEqual({ view: "send", hostOrigin: HOST });
+    expect(readEmbedConfig(at(`?embed=send&origin=${HOST}`), false)).toBeNull();
+    expect(readEmbedConfig(at(`?embed=admin&origin=${HOST}`), true)).toBeNull();
+    expect(readEmbedConfig(at("?embed=receive"), true)).toBeNull();
+    expect(readEmbedConfig(at("?embed=receive&origin=file:///tmp/x.html"), true)).toBeNull();
+  });
+
+  test("events go to the host's origin only, and only its messages are heard", () => {
+    const config = { view: "receive", hostOrigin: HOST };
+    const post = jest.spyOn(window.parent, "postMessage").mockImplementation(() => {});
+    notifyHost(config, "error", { code: "WRONG_CODE" });
+    expect(post).toHaveBeenCalledWith({ source: "burnzip", type: "error", code: "WRONG_CODE" }, HOST);
+    notifyHost(null, "ready");
+    expect(post).toHaveBeenCalledTimes(1);
+    post.mockRestore();
+
+    const open = jest.fn();
+    const stop = listenToHost(config, { open });
+    const send = (origin, data) => window.dispatchEvent(new MessageEvent("message", { origin, data, source: window }));
+    send("https://elsewhere.example", { target: "burnzip", type: "open", link: "#id:abc" });
+    send(HOST, { target: "burnzip", type: "toString" });
+    send(HOST, { target: "burnzip", type: "open", link: "#id:abc" });
+    stop();
+    send(HOST, { target: "burnzip", type: "open", link: "#id:def" });
+    expect(open.mock.calls).toEqual([[{ target: "burnzip", type: "open", link: "#id:abc" }]]);
+  });
+
+  test("themes set known tokens to colours and fonts only", () => {
+    const root = document.createElement("div");
+    const applied = applyTheme({ accent: "rgb(122, 47, 240)", font: "'Inter', sans-serif", surface: "url(https://evil.example/x.png)", text: "red; background: blue", logo: "#000", dangerSurface: "#2a0000" }, root);
+    expect(applied).toEqual(["accent", "font", "dangerSurface"]);
+    expect(root.style.getPropertyValue("--bz-accent")).toBe("rgb(122, 47, 240)");
+    expect(root.style.getPropertyValue("--bz-danger-surface")).toBe("#2a0000");
+    expect(root.style.getPropertyValue("--bz-surface")).toBe("");
+    expect(theme.onAccent).toBe("var(--bz-on-accent, #fff)");
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Normalises the uploader's inputs (multi-select, folder picker, drag-and-drop)
+ * into [{ file, path }], where path is relative and "/"-separated.
+ */
+
+export function filesFromInput(fileList) {
+  return Array.from(fileList || []).map((file) => ({
+    file,
+    path: file.webkitRelativePath || file.name,
+  }));
+}
+
+function readEntries(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+async function walkEntry(entry, prefix, out) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    out.push({ file, path: prefix + file.name });
+  } else if (entry.isDirectory) {
+    const reader = entry.createReader();
+    // readEntries returns results in batches until it yields an empty array
+    for (;;) {
+      const batch = await readEntries(reader);
+      if (!batch.length) break;
+      for (const child of batch) await walkEntry(child, `${prefix}${entry.name}/`, out);
+    }
+  }
+}
+
+export async function filesFromDrop(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items.map((item) => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+  if (!entries.length) return filesFromInput(dataTransfer.files);
+  const out = [];
+  for (const entry of entries) await walkEntry(entry, "", out);
+  return out;
+}
+
+// { count, name }: name is the file's path for one file, else the common
+// top-level folder ("photos/") or null; the UI words the count
+export function summarizeSelection(selection) {
+  if (selection.length === 1) return { count: 1, name: selection[0].path };
+  const roots = new Set(selection.map((s) => s.path.split("/")[0]));
+  const folder = roots.size === 1 && selection[0].path.includes("/") ? `${[...roots][0]}/` : null;
+  return { count: selection.length, name: folder };
+}
+
+// name for the bundle archive: the common top-level folder, if there is one
+export function bundleName(selection) {
+  const roots = new Set(selection.map((s) => s.path.split("/")[0]));
+  if (roots.size === 1 && selection[0].path.includes("/")) return `${[...roots][0]}.zip`;
+  return "burnzip-bundle.zip";
+}
@@ -0,0 +1,130 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import en from "./locales/en";
+import es from "./locales/es";
+import fr from "./locales/fr";
+import ar from "./locales/ar";
+
+/**
+ * Message catalogs, locale detection and formatting for the UI.
+ *
+ * Catalogs (src/locales/*.js) are nested objects; keys are dotted paths.
+ * An entry is a string with {name} placeholders, or an object of
+ * Intl.PluralRules categories ({ one, other, ... }) chosen by params.count.
+ * Missing entries fall back to English, then to the key itself.
+ *
+ * The locale comes from, in order: ?lang= on the page URL (share links can
+ * carry the sender's pick), a choice saved with the switcher, the browser's
+ * languages, English.
+ */
+
+export const LOCALES = {
+  en: { name: "English", dir: "ltr", messages: en },
+  es: { name: "Español", dir: "ltr", messages: es },
+  fr: { name: "Français", dir: "ltr", messages: fr },
+  ar: { name: "العربية", dir: "rtl", messages: ar },
+};
+export const DEFAULT_LOCALE = "en";
+export const LOCALE_PARAM = "lang";
+const STORAGE_KEY = "burnzip:locale";
+
+// "fr-CA" -> "fr"; null when there is no catalog for it
+export function matchLocale(tag) {
+  const base = (tag || "").toLowerCase().split(/[-_]/)[0];
+  return LOCALES[base] ? base : null;
+}
+
+function savedLocale() {
+  try {
+    return matchLocale(window.localStorage.getItem(STORAGE_KEY));
+  } catch (e) {
+    return null; // storage blocked
+  }
+}
+
+export function detectLocale() {
+  const fromLink = matchLocale(new URLSearchParams(window.location.search).get(LOCALE_PARAM));
+  if (fromLink) return fromLink;
+  const saved = savedLocale();
+  if (saved) return saved;
+  const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+  for (const tag of preferred) {
+    const match = matchLocale(tag);
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function lookup(messages, key) {
+  return key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), messages);
+}
+
+// returns a string, or an array of nodes when a param is a React element
+function interpolate(template, params) {
+  const parts = template.split(/\{(\w+)\}/);
+  if (parts.length === 1) return template;
+  const filled = parts.map((part, i) => (i % 2 ? (params[part] != null ? params[part] : `{${part}}`) : part));
+  if (filled.every((part) => typeof part !== "object")) return filled.join("");
+  return filled.map((part, i) => <React.Fragment key={i}>{part}</React.Fragment>);
+}
+
+export function translate(locale, key, params = {}) {
+  let entry = lookup(LOCALES[locale].messages, key);
+  if (entry == null) entry = lookup(en, key);
+  if (entry == null) return key;
+  const values = { ...params };
+  if (typeof params.count === "number") {
+    if (typeof entry === "object") {
+      const category = new Intl.PluralRules(locale).select(params.count);
+      entry = entry[category] != null ? entry[category] : entry.other;
+    }
+    values.count = new Intl.NumberFormat(locale).format(params.count);
+  }
+  return interpolate(entry, values);
+}
+
+function bind(locale, setLocale) {
+  const t = (key, params) => translate(locale, key, params);
+  return {
+    locale,
+    dir: LOCALES[locale].dir,
+    setLocale,
+    t,
+    // sizes are shown in whole KB, as before; the unit is pluralised per language
+    formatSize: (bytes) => t("size.kb", { count: Math.round(bytes / 1024) }),
+    formatDate: (ms) => new Date(ms).toLocaleString(locale),
+  };
+}
+
+const I18nContext = createContext(bind(DEFAULT_LOCALE, () => {}));
+
+// the switcher's choice sticks; a link's ?lang= only applies to that visit
+function saveLocale(locale) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale);
+  } catch (e) {
+    // storage blocked: the choice lasts until the page is closed
+  }
+}
+
+export function I18nProvider({ children }) {
+  const [locale, setLocale] = useState(detectLocale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+  }, [locale]);
+
+  const value = useMemo(
+    () =>
+      bind(locale, (next) => {
+        saveLocale(next);
+        setLocale(next);
+      }),
+    [locale]
+  );
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
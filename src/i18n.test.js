@@ -0,0 +1,41 @@
+import { LOCALES, matchLocale, translate } from "./i18n";
+
+// every catalog entry a string or a plural object, keyed by its dotted path
+function flatten(node, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(node)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === "object" && !("other" in value)) flatten(value, path, out);
+    else out[path] = value;
+  }
+  return out;
+}
+
+const placeholders = (entry) => {
+  const text = typeof entry === "string" ? entry : Object.values(entry).join(" ");
+  return new Set(text.match(/\{\w+\}/g) || []);
+};
+
+describe("i18n", () => {
+  const reference = flatten(LOCALES.en.messages);
+
+  test.each(Object.keys(LOCALES).filter((id) => id !== "en"))("%s has every English key and placeholder", (id) => {
+    const catalog = flatten(LOCALES[id].messages);
+    expect(Object.keys(catalog).sort()).toEqual(Object.keys(reference).sort());
+    for (const [key, entry] of Object.entries(reference)) {
+      expect(typeof catalog[key]).toBe(typeof entry);
+      // Arabic spells out small counts ("ملفان"), so only named placeholders must match
+      const expected = [...placeholders(entry)].filter((p) => p !== "{count}");
+      for (const p of expected) expect([key, placeholders(catalog[key]).has(p)]).toEqual([key, true]);
+    }
+  });
+
+  test("plural entries follow the locale's rules", () => {
+    expect(translate("en", "uploader.files", { count: 1 })).toBe("1 file");
+    expect(translate("en", "uploader.files", { count: 1200 })).toBe("1,200 files");
+    expect(translate("fr", "size.kb", { count: 1500 })).toMatch(/^1\s500 Ko$/);
+    expect(translate("ar", "expiry.hours", { count: 2 })).toBe("ساعتان");
+    expect(translate("es", "missing.key")).toBe("missing.key");
+    expect(matchLocale("fr-CA")).toBe("fr");
+    expect(matchLocale("de")).toBe(null);
+  });
+});
@@ -0,0 +1,98 @@
+import { bytesToHex } from "./core";
+
+/**
+ * IndexedDB store for this browser's keys.
+ *
+ * recipientKeys: request-a-file key pairs; senderKeys: the sender identity used
+ * to sign payloads (one per browser). Both hold { id, privateKey, publicKey,
+ * createdAt } where id is the hex key id (see core/ecdh.js keyIdFor).
+ * privateKey is a non-extractable CryptoKey: IndexedDB keeps it as an opaque
+ * handle, so the key material never leaves the browser's crypto store.
+ * Clearing site data deletes it, and with it the ability to open anything
+ * encrypted to it or to sign as that sender.
+ *
+ * pinnedSenders: { id, name, publicKey, pinnedAt } for senders the recipient
+ * has chosen to recognise by their signing key.
+ */
+
+const DB_NAME = "burnzip";
+const DB_VERSION = 2;
+const RECIPIENT_KEYS = "recipientKeys";
+const SENDER_KEYS = "senderKeys";
+const PINNED_SENDERS = "pinnedSenders";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        for (const name of [RECIPIENT_KEYS, SENDER_KEYS, PINNED_SENDERS]) {
+          if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name, { keyPath: "id" });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function run(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// keyPair: { privateKey, publicKey, keyId } from generateRecipientKeyPair
+export function saveRecipientKey(keyPair) {
+  const record = { id: bytesToHex(keyPair.keyId), privateKey: keyPair.privateKey, publicKey: keyPair.publicKey, createdAt: Date.now() };
+  return run(RECIPIENT_KEYS, "readwrite", (store) => store.put(record)).then(() => record);
+}
+
+// resolves to the record, or undefined when this browser doesn't hold the key
+export function loadRecipientKey(keyId) {
+  return run(RECIPIENT_KEYS, "readonly", (store) => store.get(bytesToHex(keyId)));
+}
+
+export function listRecipientKeys() {
+  return run(RECIPIENT_KEYS, "readonly", (store) => store.getAll());
+}
+
+export function deleteRecipientKey(id) {
+  return run(RECIPIENT_KEYS, "readwrite", (store) => store.delete(id));
+}
+
+// ---- Sender identity ----
+
+// resolves to the identity record, or undefined before one is made
+export async function loadSenderIdentity() {
+  const records = await run(SENDER_KEYS, "readonly", (store) => store.getAll());
+  return records[0];
+}
+
+// keyPair: { privateKey, publicKey, keyId } from generateSenderKeyPair
+export function saveSenderIdentity(keyPair) {
+  const record = { id: bytesToHex(keyPair.keyId), privateKey: keyPair.privateKey, publicKey: keyPair.publicKey, createdAt: Date.now() };
+  return run(SENDER_KEYS, "readwrite", (store) => store.put(record)).then(() => record);
+}
+
+// ---- Pinned senders ----
+
+export function loadPinnedSender(keyId) {
+  return run(PINNED_SENDERS, "readonly", (store) => store.get(bytesToHex(keyId)));
+}
+
+export function pinSender(keyId, publicKey, name) {
+  const record = { id: bytesToHex(keyId), name, publicKey, pinnedAt: Date.now() };
+  return run(PINNED_SENDERS, "readwrite", (store) => store.put(record)).then(() => record);
+}
+
+export function unpinSender(keyId) {
+  return run(PINNED_SENDERS, "readwrite", (store) => store.delete(bytesToHex(keyId)));
+}
@@ -0,0 +1,338 @@
+// Arabic UI strings; keys mirror en.js. Arabic uses all six plural categories.
+const ar = {
+  common: {
+    close: "إغلاق",
+    cancel: "إلغاء",
+    copy: "نسخ",
+    download: "تنزيل",
+    preview: "معاينة",
+    dismiss: "تجاهل",
+    language: "اللغة",
+    count: "{count}",
+  },
+  size: {
+    kb: {
+      zero: "{count} كيلوبايت",
+      one: "{count} كيلوبايت",
+      two: "{count} كيلوبايت",
+      few: "{count} كيلوبايت",
+      many: "{count} كيلوبايت",
+      other: "{count} كيلوبايت",
+    },
+  },
+  progress: {
+    fetching: "جارٍ الجلب",
+    bundling: "جارٍ التجميع",
+    uploading: "جارٍ الرفع",
+    encrypting: "جارٍ التشفير",
+    decrypting: "جارٍ فك التشفير",
+  },
+  qr: {
+    pause: "إيقاف مؤقت",
+    play: "تشغيل",
+    previous: "الإطار السابق",
+    next: "الإطار التالي",
+    frame: "الإطار {current} من {total}",
+  },
+  landing: {
+    title: "مرحبًا بك في BurnZip",
+    tagline: "بلا تسجيل دخول. بلا بيانات تتبّع. بلا سجلات. بلا تخزين. بلا أثر. ثقة فقط.",
+    requestFile: "طلب ملف",
+    openFromQr: "فتح من رمز QR",
+    getStarted: "ابدأ",
+    intro: "منصة SaaS تضع الخصوصية أولًا وتستعين بذكاء اصطناعي معياري لتسهيل مشاركة الملفات المشفّرة، دون المساس باستقلالية المستخدم.",
+    storedTitle: "✅ ما الذي يُخزَّن",
+    storedLead: "ملفات مشفّرة فقط، وليس بيانات خامًا أبدًا.",
+    storedBody: "تُخزَّن في ذاكرة مؤقتة قصيرة الأجل، وتُحذف تلقائيًا عند انتهاء الصلاحية بعد 24 ساعة أو بعد التنزيل.",
+    whereTitle: "🧠 أين تُخزَّن",
+    whereBody: "لا تخزين دائم على القرص. لا أثر في قواعد البيانات. على بنية تحتية خارجية تتحكم بها أنت. ذاكرة مؤقتة قصيرة الأجل فقط.",
+    quickStartTitle: "بدء سريع",
+    quickStartBody: "انقر {getStarted} لفتح أداة الرفع. اختر «ملف» أو «رسالة»، واحتفظ بالرمز المُنشأ (أو اختر رمزك)، ثم انقر «تجهيز». شارك الرابط والرمز الناتجين. يُحذف كل شيء تلقائيًا عند انتهاء الصلاحية بعد 24 ساعة أو بعد التنزيل.",
+    homeScreenTitle: "أضِفه إلى الشاشة الرئيسية",
+    homeScreenIos: "اضغط أيقونة المشاركة، ثم اختر «إضافة إلى الشاشة الرئيسية»",
+    homeScreenAndroid: "اضغط قائمة النقاط الثلاث، ثم اختر «إضافة إلى الشاشة الرئيسية»",
+    homeScreenOffline: "بعد التثبيت، يعمل BurnZip دون اتصال ويظهر في قائمة المشاركة، فيمكن إرسال الملفات والنصوص إليه من التطبيقات الأخرى.",
+    securityTitle: "ملاحظات أمنية",
+    securityBody: "يجري التشفير كله على جهازك قبل الرفع. احفظ رمزك جيدًا؛ لا يستطيع BurnZip استعادته لك.",
+    privacyTitle: "سياسة الخصوصية",
+    privacyAccountsTitle: "بلا حسابات وبلا تتبّع",
+    privacyAccountsBody: "لا يتطلب BurnZip حسابات مستخدمين أو تسجيل دخول أو معرّفات شخصية.",
+    privacyEncryptionTitle: "تشفير من جهة العميل",
+    privacyEncryptionBody: "تُشفَّر الملفات محليًا قبل نقلها. لا ترى خوادم BurnZip المحتوى غير المشفّر أبدًا.",
+    privacyMetadataTitle: "بيانات وصفية مؤقتة",
+    privacyMetadataBody: "قد تُستخدم بيانات وصفية لا تحدد الهوية لتسهيل التسليم، وتُحذف تلقائيًا.",
+    privacyCookiesTitle: "بلا ملفات تعريف ارتباط أو تحليلات",
+    privacyCookiesBody: "لا يستخدم BurnZip ملفات تعريف الارتباط أو أدوات التتبّع.",
+    contactTitle: "تواصل معنا",
+    contactEmail: "البريد الإلكتروني:",
+  },
+  uploader: {
+    title: "تجهيز الإرسال",
+    file: "ملف",
+    message: "رسالة",
+    drop: "أفلِت ملفات أو مجلدًا هنا",
+    chooseFiles: "اختيار ملفات",
+    chooseFolder: "اختيار مجلد",
+    selected: "المحدد: {selection}",
+    files: {
+      zero: "لا ملفات",
+      one: "ملف واحد",
+      two: "ملفان",
+      few: "{count} ملفات",
+      many: "{count} ملفًا",
+      other: "{count} ملف",
+    },
+    messagePlaceholder: "اكتب رسالة قصيرة",
+    requestBanner: "التشفير لرابط طلب · بصمة المفتاح {fingerprint}",
+    requestNote: "لا حاجة إلى رمز: وحده المتصفح الذي أنشأ الطلب يمكنه فتح النتيجة. إن أمكن، تحقّق من البصمة مع صاحب الطلب.",
+    useCode: "استخدام رمز بدلًا من ذلك",
+    code: "الرمز",
+    newCode: "جديد",
+    words: "الكلمات",
+    length: "الطول",
+    entropy: "{strength} · نحو {bits} بت من العشوائية",
+    kdf: "اشتقاق المفتاح",
+    kdfArgon2id: "Argon2id (كثيف الذاكرة)",
+    kdfScrypt: "scrypt (كثيف الذاكرة)",
+    iterations: "التكرارات",
+    memory: "الذاكرة (MiB)",
+    passes: "التمريرات",
+    cost: "التكلفة N = 2^",
+    pasteRequest: "أو الصق رابط طلب للتشفير بمفتاحه",
+    expiresAfter: "تنتهي الصلاحية بعد",
+    maxOpens: "أقصى عدد مرات الفتح",
+    unlimited: "بلا حد",
+    noStoreOpens: "لا يوجد مخزن مُهيّأ: يمكن أن تنتهي صلاحية الروابط المضمّنة لكن لا يمكن عدّ مرات فتحها.",
+    compress: "الضغط أولًا (روابط أقصر)",
+    projected: "حجم الرابط ≈ {size} من أصل {limit} للرابط المضمّن ({chars} حرفًا).",
+    projectedStored: "أكبر من أن يُضمَّن: سيُخزَّن بمعرّف قصير.",
+    projectedNoStore: "أكبر من أن يُضمَّن، ولا يوجد مخزن مُهيّأ.",
+    recipientLanguage: "لغة المستلم",
+    recipientLanguageAuto: "لغة متصفحه",
+    sign: "التوقيع باسمي",
+    signFingerprint: "موقَّع بمفتاح المرسل الخاص بك {fingerprint}. أخبر المستلمين بهذه البصمة ليتمكنوا من تثبيتك.",
+    split: "تقسيم الرمز إلى أجزاء",
+    splitOf: "أي {threshold} من {count} تعيد بناءه",
+    splitThreshold: "الأجزاء المطلوبة",
+    splitCount: "عدد الأجزاء",
+    shareLabel: "الجزء {index} من {count}",
+    shareCopied: "تم النسخ",
+    showShareQr: "QR",
+    hideShareQr: "إخفاء QR",
+    shareWithShares: "أرسل الرابط إلى المستلم وأعطِ كل أمين جزءًا واحدًا. أي {threshold} أجزاء تعيد بناء الرمز، وما هو أقل لا يكشف عنه شيئًا.",
+    prepare: "تجهيز",
+    preparing: "جارٍ التجهيز…",
+    previewLabel: "معاينة:",
+    encryptedSummary: "{filename} ← مشفّر ({size})",
+    linkGenerated: "تم إنشاء رابط المشاركة",
+    storedById: "مخزّن بمعرّف قصير",
+    expires: "تنتهي صلاحيته في {date}",
+    showLinkQr: "إظهار رمز QR للرابط",
+    hideLinkQr: "إخفاء رمز QR للرابط",
+    showCodeQr: "إظهار رمز QR للرمز",
+    hideCodeQr: "إخفاء رمز QR للرمز",
+    framesHint: "يمسح المستلم هذا التسلسل عبر «فتح من رمز QR» في الصفحة الرئيسية لـ BurnZip.",
+    codeQrHint: "سلّم الرمز بمعزل عن الرابط، مثلًا شخصيًا بينما يُرسَل الرابط في رسالة.",
+    shareWithCode: "شارك هذا الرابط والرمز مع المستلم. يحتاج المستلم إلى الرمز فقط لفك التشفير.",
+    shareToRequester: "أرسل هذا الرابط إلى من طلب الملف. وحده المتصفح الذي أنشأ الطلب يمكنه فتحه؛ لا يوجد رمز.",
+    linkCopied: "تم نسخ الرابط إلى الحافظة",
+    copyFailed: "تعذّر النسخ",
+  },
+  expiry: {
+    hours: {
+      zero: "{count} ساعة",
+      one: "ساعة واحدة",
+      two: "ساعتان",
+      few: "{count} ساعات",
+      many: "{count} ساعة",
+      other: "{count} ساعة",
+    },
+    days: {
+      zero: "{count} يوم",
+      one: "يوم واحد",
+      two: "يومان",
+      few: "{count} أيام",
+      many: "{count} يومًا",
+      other: "{count} يوم",
+    },
+    never: "أبدًا",
+  },
+  strength: {
+    weak: "ضعيف",
+    fair: "مقبول",
+    strong: "قوي",
+    veryStrong: "قوي جدًا",
+  },
+  alphabet: {
+    alnum: "A–Z و0–9",
+    unambiguous: "بلا أحرف متشابهة (0/O، 1/I)",
+    digits: "أرقام فقط",
+    diceware: "كلمات Diceware",
+  },
+  qrImport: {
+    title: "فتح من رمز QR",
+    intro: "امسح رمز QR للرابط، أو وجّه الكاميرا إلى تسلسل QR متحرك حتى تُقرأ كل الإطارات.",
+    stopCamera: "إيقاف الكاميرا",
+    scan: "المسح بالكاميرا",
+    upload: "رفع صور QR",
+    framesReceived: "الإطارات المستلمة: {received} من {total}",
+    cameraUnavailable: "الكاميرا غير متاحة. ارفع صورًا لرموز QR بدلًا من ذلك.",
+    noQrFound: {
+      zero: "لم يُعثر على رمز QR في {count} صورة.",
+      one: "لم يُعثر على رمز QR في صورة واحدة.",
+      two: "لم يُعثر على رمز QR في صورتين.",
+      few: "لم يُعثر على رمز QR في {count} صور.",
+      many: "لم يُعثر على رمز QR في {count} صورة.",
+      other: "لم يُعثر على رمز QR في {count} صورة.",
+    },
+    missingFrame: "إطار QR رقم {index} من {total} مفقود. واصل المسح حتى تُقرأ جميع الإطارات.",
+    badChecksum: "إطارات QR غير متطابقة. امسح التسلسل مرة أخرى.",
+  },
+  requestFile: {
+    title: "طلب ملف",
+    intro: "أرسل رابط الطلب إلى من لديه الملف. سيشفّره بمفتاح لا يملكه سوى هذا المتصفح، فلا حاجة لتبادل أي رمز. افتح رابط الملف الذي يعيده إليك في هذا المتصفح نفسه.",
+    create: "إنشاء رابط طلب",
+    copied: "تم النسخ",
+    fingerprint: "بصمة المفتاح: {fingerprint} — يرى المرسل القيمة نفسها.",
+    keys: "المفاتيح في هذا المتصفح",
+    copyLink: "نسخ الرابط",
+    forget: "نسيان",
+    forgetNote: "نسيان مفتاح يجعل الملفات المرسلة إليه غير قابلة للقراءة. ومسح بيانات الموقع يفعل الشيء نفسه.",
+    noKeyStore: "لا يستطيع هذا المتصفح تخزين المفاتيح (وضع التصفح الخاص؟)، لذا لا يمكنه استلام الملفات المطلوبة.",
+    createFailed: "تعذّر إنشاء مفتاح في هذا المتصفح.",
+  },
+  preview: {
+    noPdf: "لا يستطيع هذا المتصفح عرض ملفات PDF هنا. نزّل الملف لقراءته.",
+    truncated: "تعرض المعاينة أول {size}. نزّل الملف لقراءة الباقي.",
+    image: "[صورة: {alt}]",
+  },
+  recipient: {
+    expiredTitle: "BurnZip — انتهت صلاحية الرابط",
+    expiredBody: "انتهت صلاحية هذا الرابط في {date} ولم يعد فك تشفيره ممكنًا. اطلب رابطًا جديدًا من المرسل.",
+    title: "BurnZip — محتوى مشفّر",
+    introCode: "أدخل الرمز الذي تلقيته لفك تشفير الملف أو الرسالة وتنزيلها.",
+    introKey: "أُرسل هذا ردًا على رابط طلب أُنشئ في هذا المتصفح. لا حاجة إلى رمز.",
+    fetching: "جارٍ جلب المحتوى المشفّر…",
+    expires: "تنتهي الصلاحية في {date}",
+    neverExpires: "لا تنتهي صلاحيته",
+    opens: {
+      zero: "يمكن فتحه {count} مرة",
+      one: "يمكن فتحه مرة واحدة",
+      two: "يمكن فتحه مرتين",
+      few: "يمكن فتحه {count} مرات",
+      many: "يمكن فتحه {count} مرة",
+      other: "يمكن فتحه {count} مرة",
+    },
+    keyMissing: "المفتاح الذي أُرسل إليه هذا غير موجود في هذا المتصفح. افتح الرابط في المتصفح الذي أنشأ الطلب.",
+    sentToKey: "أُرسل إلى مفتاحك {fingerprint}",
+    codePlaceholder: "أدخل الرمز أو عبارة المرور",
+    sharePlaceholder: "الصق جزءًا من الرمز (BZS1-…)",
+    addShare: "إضافة الجزء",
+    sharesCollected: "الأجزاء المجمّعة: {collected} من {threshold}.",
+    sharesComplete: "الأجزاء كافية لإعادة بناء الرمز؛ يمكنك فك التشفير الآن.",
+    useShares: "لديّ أجزاء من الرمز",
+    useCode: "إدخال الرمز كاملًا",
+    codeLabel: "الرمز أو عبارة المرور",
+    decrypt: "فك التشفير والتنزيل",
+    working: "جارٍ العمل…",
+    loadingPreview: "جارٍ تحميل المعاينة…",
+    previewing: "معاينة {filename}",
+    ready: "جاهز:",
+    downloadAll: "تنزيل الكل (.zip)",
+    downloadFile: "تنزيل الملف بعد فك تشفيره",
+    savedToDisk: "حُفظ مباشرةً في مجلد التنزيلات.",
+    tipStored: "تلميح: هذه الصفحة تطلب الرمز فقط. يُجلب المحتوى المشفّر من المخزن ويُحذف بعد فك تشفيره؛ لا يرى الخادم رمزك أبدًا.",
+    tipEmbedded: "تلميح: هذه الصفحة تطلب الرمز فقط. المحتوى المشفّر مضمّن في الرابط الذي تلقيته؛ لا يرى الخادم رمزك.",
+  },
+  notice: {
+    codeTooShort: "أدخل رمزًا لا يقل عن {min} أحرف",
+    kdfOutOfRange: "إعدادات اشتقاق المفتاح خارج النطاق المسموح: يقبل PBKDF2 من 1000 إلى 10000000 تكرار، وArgon2id من 8 إلى 1024 ميغابايت ومن 1 إلى 20 تمريرة، وscrypt كلفة من 10 إلى 20.",
+    selectFile: "اختر ملفًا أولًا",
+    enterMessage: "اكتب رسالة أولًا",
+    enterCode: "أدخل الرمز الذي تلقيته لفك التشفير",
+    noStore: "يتجاوز المحتوى الحجم الآمن للتضمين ولا يوجد مخزن مُهيّأ (عيّن REACT_APP_BLOB_STORE_URL).",
+    cancelled: "أُلغي.",
+    encryptFailed: "فشل التشفير؛ راجع وحدة التحكم لمزيد من التفاصيل",
+    decryptFailed: "فشل فك التشفير. تحقّق من الرمز وحاول مجددًا.",
+    storeMissing: "يحتاج هذا الرابط إلى مخزن، لكن لا يوجد مخزن مُهيّأ.",
+    storeExpired: "انتهت صلاحية هذا الرابط وحُذف محتواه.",
+    fetchFailed: "تعذّر جلب هذا المحتوى. ربما فُتح أو حُذف من قبل.",
+    malformedRequest: "رابط طلب غير صالح",
+    unreadable: "تعذّرت قراءة هذا المحتوى.",
+    tooManyAttempts: "رموز خاطئة كثيرة.",
+    tooManyAttemptsHint: "تحقّق من الرمز مع المرسل، ثم أعد تحميل الصفحة للمحاولة مجددًا.",
+    attemptsLeft: {
+      zero: "لم تتبقَّ محاولات في هذه الصفحة.",
+      one: "تتبقى محاولة واحدة في هذه الصفحة. حالة الأحرف والمسافات لا تهم، فابحث عن أحرف ملتبسة أو ناقصة.",
+      two: "تتبقى محاولتان في هذه الصفحة. حالة الأحرف والمسافات لا تهم، فابحث عن أحرف ملتبسة أو ناقصة.",
+      few: "تتبقى {count} محاولات في هذه الصفحة. حالة الأحرف والمسافات لا تهم، فابحث عن أحرف ملتبسة أو ناقصة.",
+      many: "تتبقى {count} محاولة في هذه الصفحة. حالة الأحرف والمسافات لا تهم، فابحث عن أحرف ملتبسة أو ناقصة.",
+      other: "تتبقى {count} محاولة في هذه الصفحة. حالة الأحرف والمسافات لا تهم، فابحث عن أحرف ملتبسة أو ناقصة.",
+    },
+    maybeDamaged: "إن كان الرمز صحيحًا، فربما تضرر الرابط؛ اطلبه مجددًا.",
+    opensUnaffected: "الرموز الخاطئة لا تستهلك أيًا من مرات فتح هذا الرابط.",
+    senderKeyFailed: "تعذّر إنشاء مفتاح مرسل في هذا المتصفح.",
+    pinFailed: "تعذّر تثبيت هذا المرسل في هذا المتصفح.",
+  },
+  embed: {
+    waiting: "افتح رابط BurnZip لفك تشفيره هنا.",
+  },
+  sender: {
+    unsigned: "غير موقَّع: لا شيء يدل على من أنشأ هذا الرابط. لا تثق به إلا إذا كنت تنتظره.",
+    signedByUnknown: "موقَّع بالمفتاح {fingerprint}، وهو مفتاح لم تثبّته.",
+    signedByPinned: "موقَّع من {name} ({fingerprint})",
+    unknownHint: "يمكن لأي شخص إنشاء مفتاح. قارن البصمة مع المرسل عبر قناة أخرى قبل تثبيتها.",
+    verified: "تم التحقق من التوقيع.",
+    namePlaceholder: "اسم المرسل",
+    pin: "تثبيت المرسل",
+    unpin: "إلغاء التثبيت",
+  },
+  errors: {
+    MALFORMED_LINK: {
+      message: "هذا الرابط تالف.",
+      hint: "انسخ الرابط كاملًا مرة أخرى، أو اطلبه من المرسل كرمز QR.",
+    },
+    MALFORMED_PAYLOAD: {
+      message: "ترويسة هذا المحتوى تالفة.",
+      hint: "لا يبدو أن هذا من إنشاء BurnZip. اطلب الرابط من المرسل مجددًا.",
+    },
+    UNSUPPORTED: {
+      message: "أُنشئ هذا المحتوى بإصدار أحدث من BurnZip.",
+      hint: "أعد تحميل الصفحة للتحديث، ثم حاول مجددًا.",
+    },
+    TRUNCATED: {
+      message: "هذا المحتوى مبتور.",
+      hint: "جزء منه مفقود، غالبًا لأن تطبيق دردشة قصّر رسالة طويلة. اطلب الرابط مجددًا، أو كرمز QR.",
+    },
+    TAMPERED: {
+      message: "عُدّل هذا المحتوى أو تضرر بعد تشفيره.",
+      hint: "الرمز صحيح، لكن المحتوى تغيّر بعد إرساله. اطلب من المرسل إرساله مجددًا.",
+    },
+    WRONG_CODE: {
+      message: "الرمز خاطئ.",
+      hint: "تحقّق من الرمز وحاول مجددًا.",
+    },
+    DECRYPT_FAILED: {
+      message: "فشل فك التشفير.",
+      hint: "تحقّق من الرمز وحاول مجددًا.",
+    },
+    EXPIRED: {
+      message: "انتهت صلاحية هذا الرابط.",
+      hint: "اطلب رابطًا جديدًا من المرسل.",
+    },
+    MISSING_KEY: {
+      message: "أُرسل هذا إلى مفتاح غير موجود في هذا المتصفح.",
+      hint: "افتح الرابط في المتصفح الذي أنشأ الطلب.",
+    },
+    INVALID_INPUT: {
+      message: "جزء من المُدخلات غير صالح.",
+      hint: "تحقّق من الرمز والملف، ثم حاول مجددًا.",
+    },
+    BAD_SHARE: {
+      message: "جزء الرمز هذا تالف أو يخص رابطًا آخر.",
+      hint: "انسخ الجزء كاملًا مرة أخرى. يجب أن تأتي جميع الأجزاء التي تجمعها من المرسل نفسه والرابط نفسه.",
+    },
+  },
+};
+
+export default ar;
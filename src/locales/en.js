@@ -0,0 +1,296 @@
+// English UI strings; the reference catalog the others are checked against.
+// Plural entries use Intl.PluralRules categories; {count} is localised.
+const en = {
+  common: {
+    close: "Close",
+    cancel: "Cancel",
+    copy: "Copy",
+    download: "Download",
+    preview: "Preview",
+    dismiss: "Dismiss",
+    language: "Language",
+    count: "{count}",
+  },
+  size: {
+    kb: { one: "{count} KB", other: "{count} KB" },
+  },
+  progress: {
+    fetching: "Fetching",
+    bundling: "Bundling",
+    uploading: "Uploading",
+    encrypting: "Encrypting",
+    decrypting: "Decrypting",
+  },
+  qr: {
+    pause: "Pause",
+    play: "Play",
+    previous: "Previous frame",
+    next: "Next frame",
+    frame: "Frame {current} of {total}",
+  },
+  landing: {
+    title: "Welcome to BurnZip",
+    tagline: "No login. No tracking metadata. No logs. No storage. No footprint. Just trust.",
+    requestFile: "Request a file",
+    openFromQr: "Open from QR",
+    getStarted: "Get Started",
+    intro: "A privacy-first, SaaS framework that leverages modular AI to facilitate encrypted file sharing — without compromising user autonomy.",
+    storedTitle: "✅ What’s Stored",
+    storedLead: "Encrypted file blobs, never raw data.",
+    storedBody: "Stored short-lived cache. Auto-deletes after expiry 24 hours or download.",
+    whereTitle: "🧠 Where It’s Stored",
+    whereBody: "No persistent disk storage. No database footprint. On third-party infrastructure you control. Short-lived caches only.",
+    quickStartTitle: "Quick Start",
+    quickStartBody: "Click {getStarted} to open the uploader. Choose \"File\" or \"Message\", keep the generated code (or pick your own), then click Prepare. Share the generated link and code. Auto-deletes after expiry 24 hours or download.",
+    homeScreenTitle: "Save to your home screen",
+    homeScreenIos: "Tap the share icon, select \"Add to Homescreen\"",
+    homeScreenAndroid: "Tap the three dot menu, select \"Add to homescreen\"",
+    homeScreenOffline: "Once installed, BurnZip works offline and shows up in your share menu, so files and text can be sent to it from other apps.",
+    securityTitle: "Security Notes",
+    securityBody: "All encryption is performed client-side before upload. Keep your code safe; BurnZip cannot recover it for you.",
+    privacyTitle: "Privacy Policy",
+    privacyAccountsTitle: "No Accounts, No Tracking",
+    privacyAccountsBody: "BurnZip does not require user accounts, logins, or personal identifiers.",
+    privacyEncryptionTitle: "Client-Side Encryption",
+    privacyEncryptionBody: "Files are encrypted locally before transfer. BurnZip servers never see plaintext content.",
+    privacyMetadataTitle: "Temporary Metadata",
+    privacyMetadataBody: "Non-identifiable metadata may be used to facilitate delivery and deleted automatically.",
+    privacyCookiesTitle: "No Cookies or Analytics",
+    privacyCookiesBody: "BurnZip does not use cookies or trackers.",
+    contactTitle: "Contact",
+    contactEmail: "Email:",
+  },
+  uploader: {
+    title: "Prepare upload",
+    file: "File",
+    message: "Message",
+    drop: "Drop files or a folder here",
+    chooseFiles: "Choose files",
+    chooseFolder: "Choose folder",
+    selected: "Selected: {selection}",
+    files: { one: "{count} file", other: "{count} files" },
+    messagePlaceholder: "Type a short message",
+    requestBanner: "Encrypting to a request link · key fingerprint {fingerprint}",
+    requestNote: "No code is needed: only the browser that made the request can open the result. If you can, check the fingerprint with the requester.",
+    useCode: "Use a code instead",
+    code: "Code",
+    newCode: "New",
+    words: "Words",
+    length: "Length",
+    entropy: "{strength} · ~{bits} bits of entropy",
+    kdf: "Key derivation",
+    kdfArgon2id: "Argon2id (memory-hard)",
+    kdfScrypt: "scrypt (memory-hard)",
+    iterations: "Iterations",
+    memory: "Memory (MiB)",
+    passes: "Passes",
+    cost: "Cost N = 2^",
+    pasteRequest: "Or paste a request link to encrypt to its key",
+    expiresAfter: "Expires after",
+    maxOpens: "Max opens",
+    unlimited: "Unlimited",
+    noStoreOpens: "No blob store configured: embedded links can expire but can't count opens.",
+    compress: "Compress first (smaller links)",
+    projected: "Link size ≈ {size} of {limit} for an embedded link ({chars} characters).",
+    projectedStored: "Too big to embed: it will be stored by short ID.",
+    projectedNoStore: "Too big to embed, and no blob store is configured.",
+    recipientLanguage: "Recipient's language",
+    recipientLanguageAuto: "Their browser's",
+    sign: "Sign as me",
+    signFingerprint: "Signed with your sender key {fingerprint}. Tell recipients this fingerprint so they can pin you.",
+    split: "Split the code into shares",
+    splitOf: "any {threshold} of {count} rebuild it",
+    splitThreshold: "Shares needed",
+    splitCount: "Number of shares",
+    shareLabel: "Share {index} of {count}",
+    shareCopied: "Copied",
+    showShareQr: "QR",
+    hideShareQr: "Hide QR",
+    shareWithShares: "Send the link to the recipient and give each custodian one share. Any {threshold} shares rebuild the code; fewer reveal nothing about it.",
+    prepare: "Prepare",
+    preparing: "Preparing…",
+    previewLabel: "Preview:",
+    encryptedSummary: "{filename} → encrypted ({size})",
+    linkGenerated: "Share link generated",
+    storedById: "stored by short ID",
+    expires: "expires {date}",
+    showLinkQr: "Show link QR",
+    hideLinkQr: "Hide link QR",
+    showCodeQr: "Show code QR",
+    hideCodeQr: "Hide code QR",
+    framesHint: "The recipient scans this sequence with “Open from QR” on the BurnZip home page.",
+    codeQrHint: "Hand the code over separately from the link, e.g. in person while the link goes by message.",
+    shareWithCode: "Share this link and the code with the recipient. The recipient only needs the code to decrypt.",
+    shareToRequester: "Send this link back to whoever requested the file. Only the browser that made the request can open it; there is no code.",
+    linkCopied: "Link copied to clipboard",
+    copyFailed: "Copy failed",
+  },
+  expiry: {
+    hours: { one: "{count} hour", other: "{count} hours" },
+    days: { one: "{count} day", other: "{count} days" },
+    never: "Never",
+  },
+  strength: {
+    weak: "Weak",
+    fair: "Fair",
+    strong: "Strong",
+    veryStrong: "Very strong",
+  },
+  alphabet: {
+    alnum: "A–Z and 0–9",
+    unambiguous: "No look-alikes (0/O, 1/I)",
+    digits: "Digits only",
+    diceware: "Diceware words",
+  },
+  qrImport: {
+    title: "Open from QR",
+    intro: "Scan the link QR, or hold the camera on an animated QR sequence until every frame has been read.",
+    stopCamera: "Stop camera",
+    scan: "Scan with camera",
+    upload: "Upload QR images",
+    framesReceived: "Frames received: {received} of {total}",
+    cameraUnavailable: "Camera unavailable. Upload images of the QR codes instead.",
+    noQrFound: { one: "No QR code found in {count} image.", other: "No QR code found in {count} images." },
+    missingFrame: "Missing QR frame {index} of {total}. Keep scanning until every frame has been read.",
+    badChecksum: "The QR frames don't add up. Scan the sequence again.",
+  },
+  requestFile: {
+    title: "Request a file",
+    intro: "Send the request link to whoever has the file. They encrypt to a key that only this browser holds, so no code needs to be passed around. Open the file link they send back in this same browser.",
+    create: "Create request link",
+    copied: "Copied",
+    fingerprint: "Key fingerprint: {fingerprint} — the sender sees the same value.",
+    keys: "Keys in this browser",
+    copyLink: "Copy link",
+    forget: "Forget",
+    forgetNote: "Forgetting a key makes files sent to it unreadable. Clearing site data does the same.",
+    noKeyStore: "This browser can't store keys (private mode?), so it can't receive requested files.",
+    createFailed: "Could not create a key in this browser.",
+  },
+  preview: {
+    noPdf: "This browser can't show PDFs inline. Download the file to read it.",
+    truncated: "Preview shows the first {size}. Download the file for the rest.",
+    image: "[image: {alt}]",
+  },
+  recipient: {
+    expiredTitle: "BurnZip — Link expired",
+    expiredBody: "This link expired on {date} and can no longer be decrypted. Ask the sender for a new one.",
+    title: "BurnZip — Encrypted payload",
+    introCode: "Enter the code you received to decrypt and download the file or message.",
+    introKey: "This was sent in reply to a request link made in this browser. No code is needed.",
+    fetching: "Fetching encrypted payload…",
+    expires: "Expires {date}",
+    neverExpires: "Never expires",
+    opens: { one: "can be opened once", other: "can be opened {count} times" },
+    keyMissing: "The key this was sent to is not in this browser. Open the link in the browser that created the request.",
+    sentToKey: "Sent to your key {fingerprint}",
+    codePlaceholder: "Enter code or passphrase",
+    sharePlaceholder: "Paste a code share (BZS1-…)",
+    addShare: "Add share",
+    sharesCollected: "Shares collected: {collected} of {threshold}.",
+    sharesComplete: "Enough shares to rebuild the code; you can decrypt now.",
+    useShares: "I have code shares instead",
+    useCode: "Enter the whole code instead",
+    codeLabel: "Code or passphrase",
+    decrypt: "Decrypt & Download",
+    working: "Working…",
+    loadingPreview: "Loading preview…",
+    previewing: "Previewing {filename}",
+    ready: "Ready:",
+    downloadAll: "Download all (.zip)",
+    downloadFile: "Download decrypted file",
+    savedToDisk: "Saved straight to your downloads folder.",
+    tipStored: "Tip: This page only asks for the code. The encrypted payload is fetched from the blob store and deleted after it is decrypted; the server never sees your code.",
+    tipEmbedded: "Tip: This page only asks for the code. The encrypted payload is included in the link you were sent; the server does not see your code.",
+  },
+  notice: {
+    codeTooShort: "Enter a code of at least {min} characters",
+    kdfOutOfRange: "These key-derivation settings are out of range: PBKDF2 takes 1,000 to 10,000,000 iterations, Argon2id 8 to 1024 MiB and 1 to 20 passes, scrypt a cost of 10 to 20.",
+    selectFile: "Select a file first",
+    enterMessage: "Enter a message first",
+    enterCode: "Enter the code you received to decrypt",
+    noStore: "Payload exceeds safe embed size and no blob store is configured (set REACT_APP_BLOB_STORE_URL).",
+    cancelled: "Cancelled.",
+    encryptFailed: "Encryption failed; check console for details",
+    decryptFailed: "Decryption failed. Check the code and try again.",
+    storeMissing: "This link needs a blob store, but none is configured.",
+    storeExpired: "This link has expired and its payload was deleted.",
+    fetchFailed: "This payload could not be fetched. It may have already been opened or deleted.",
+    malformedRequest: "Malformed request link",
+    unreadable: "This payload can't be read.",
+    tooManyAttempts: "Too many wrong codes.",
+    tooManyAttemptsHint: "Check the code with the sender, then reload the page to try again.",
+    attemptsLeft: {
+      one: "{count} attempt left on this page. Case and spacing don't matter, so look for mixed-up or missing characters.",
+      other: "{count} attempts left on this page. Case and spacing don't matter, so look for mixed-up or missing characters.",
+    },
+    maybeDamaged: "If the code is right, the link may be damaged; ask for it again.",
+    opensUnaffected: "Wrong codes don't use up any of this link's opens.",
+    senderKeyFailed: "Couldn't create a sender key in this browser.",
+    pinFailed: "Couldn't pin this sender in this browser.",
+  },
+  // embed mode (embed.js) before the host has opened a link
+  embed: {
+    waiting: "Open a BurnZip link to decrypt it here.",
+  },
+  // SenderBadge: who signed an incoming payload (core/sign.js)
+  sender: {
+    unsigned: "Unsigned: nothing says who made this link. Only trust it if you were expecting it.",
+    signedByUnknown: "Signed by {fingerprint}, a key you haven't pinned.",
+    signedByPinned: "Signed by {name} ({fingerprint})",
+    unknownHint: "Anyone can make a key. Compare the fingerprint with the sender through another channel before pinning it.",
+    verified: "Signature verified.",
+    namePlaceholder: "Sender's name",
+    pin: "Pin sender",
+    unpin: "Unpin",
+  },
+  // one entry per BurnZipError code (core/errors.js)
+  errors: {
+    MALFORMED_LINK: {
+      message: "This link is damaged.",
+      hint: "Copy the whole link again, or ask the sender for it as a QR code.",
+    },
+    MALFORMED_PAYLOAD: {
+      message: "This payload's header is damaged.",
+      hint: "This doesn't look like something BurnZip made. Ask the sender for the link again.",
+    },
+    UNSUPPORTED: {
+      message: "This payload was made by a newer version of BurnZip.",
+      hint: "Reload the page to update, then try again.",
+    },
+    TRUNCATED: {
+      message: "This payload is truncated.",
+      hint: "Part of it is missing, often because a chat app shortened a long message. Ask the sender for the link again, or as a QR code.",
+    },
+    TAMPERED: {
+      message: "This payload was modified or damaged after it was encrypted.",
+      hint: "The code is right, but the payload changed after it was sent. Ask the sender to send it again.",
+    },
+    WRONG_CODE: {
+      message: "Wrong code.",
+      hint: "Check the code and try again.",
+    },
+    DECRYPT_FAILED: {
+      message: "Decryption failed.",
+      hint: "Check the code and try again.",
+    },
+    EXPIRED: {
+      message: "This link has expired.",
+      hint: "Ask the sender for a new link.",
+    },
+    MISSING_KEY: {
+      message: "This was sent to a key this browser doesn't have.",
+      hint: "Open the link in the browser that created the request.",
+    },
+    INVALID_INPUT: {
+      message: "Something in the input isn't valid.",
+      hint: "Check the code and the file, then try again.",
+    },
+    BAD_SHARE: {
+      message: "This code share is damaged, or belongs to another link.",
+      hint: "Copy the whole share again. All the shares you combine must come from the same sender and link.",
+    },
+  },
+};
+
+export default en;
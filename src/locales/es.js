@@ -0,0 +1,292 @@
+// Spanish UI strings; keys mirror en.js.
+const es = {
+  common: {
+    close: "Cerrar",
+    cancel: "Cancelar",
+    copy: "Copiar",
+    download: "Descargar",
+    preview: "Vista previa",
+    dismiss: "Descartar",
+    language: "Idioma",
+    count: "{count}",
+  },
+  size: {
+    kb: { one: "{count} KB", other: "{count} KB" },
+  },
+  progress: {
+    fetching: "Obteniendo",
+    bundling: "Empaquetando",
+    uploading: "Subiendo",
+    encrypting: "Cifrando",
+    decrypting: "Descifrando",
+  },
+  qr: {
+    pause: "Pausa",
+    play: "Reproducir",
+    previous: "Fotograma anterior",
+    next: "Fotograma siguiente",
+    frame: "Fotograma {current} de {total}",
+  },
+  landing: {
+    title: "Bienvenido a BurnZip",
+    tagline: "Sin registro. Sin metadatos de rastreo. Sin registros. Sin almacenamiento. Sin huella. Solo confianza.",
+    requestFile: "Solicitar un archivo",
+    openFromQr: "Abrir desde QR",
+    getStarted: "Empezar",
+    intro: "Una plataforma SaaS centrada en la privacidad que usa IA modular para facilitar el intercambio cifrado de archivos, sin comprometer la autonomía del usuario.",
+    storedTitle: "✅ Qué se guarda",
+    storedLead: "Archivos cifrados, nunca datos sin cifrar.",
+    storedBody: "Se guardan en una caché de corta duración. Se borran al caducar, a las 24 horas, o tras la descarga.",
+    whereTitle: "🧠 Dónde se guarda",
+    whereBody: "Sin almacenamiento persistente en disco. Sin rastro en bases de datos. En infraestructura de terceros que tú controlas. Solo cachés de corta duración.",
+    quickStartTitle: "Inicio rápido",
+    quickStartBody: "Pulsa {getStarted} para abrir el cargador. Elige \"Archivo\" o \"Mensaje\", conserva el código generado (o elige el tuyo) y pulsa Preparar. Comparte el enlace y el código generados. Se borran al caducar, a las 24 horas, o tras la descarga.",
+    homeScreenTitle: "Añadir a la pantalla de inicio",
+    homeScreenIos: "Toca el icono de compartir y elige \"Añadir a pantalla de inicio\"",
+    homeScreenAndroid: "Toca el menú de tres puntos y elige \"Añadir a pantalla de inicio\"",
+    homeScreenOffline: "Una vez instalado, BurnZip funciona sin conexión y aparece en tu menú de compartir, así que puedes enviarle archivos y texto desde otras apps.",
+    securityTitle: "Notas de seguridad",
+    securityBody: "Todo el cifrado se hace en tu dispositivo antes de subir nada. Guarda bien tu código; BurnZip no puede recuperarlo.",
+    privacyTitle: "Política de privacidad",
+    privacyAccountsTitle: "Sin cuentas ni rastreo",
+    privacyAccountsBody: "BurnZip no requiere cuentas de usuario, inicios de sesión ni datos personales.",
+    privacyEncryptionTitle: "Cifrado en el cliente",
+    privacyEncryptionBody: "Los archivos se cifran localmente antes de enviarse. Los servidores de BurnZip nunca ven el contenido sin cifrar.",
+    privacyMetadataTitle: "Metadatos temporales",
+    privacyMetadataBody: "Pueden usarse metadatos no identificativos para la entrega; se borran automáticamente.",
+    privacyCookiesTitle: "Sin cookies ni analítica",
+    privacyCookiesBody: "BurnZip no usa cookies ni rastreadores.",
+    contactTitle: "Contacto",
+    contactEmail: "Correo:",
+  },
+  uploader: {
+    title: "Preparar envío",
+    file: "Archivo",
+    message: "Mensaje",
+    drop: "Suelta archivos o una carpeta aquí",
+    chooseFiles: "Elegir archivos",
+    chooseFolder: "Elegir carpeta",
+    selected: "Seleccionado: {selection}",
+    files: { one: "{count} archivo", other: "{count} archivos" },
+    messagePlaceholder: "Escribe un mensaje corto",
+    requestBanner: "Cifrando para un enlace de solicitud · huella de la clave {fingerprint}",
+    requestNote: "No hace falta código: solo el navegador que hizo la solicitud puede abrir el resultado. Si puedes, comprueba la huella con quien la pidió.",
+    useCode: "Usar un código",
+    code: "Código",
+    newCode: "Nuevo",
+    words: "Palabras",
+    length: "Longitud",
+    entropy: "{strength} · ~{bits} bits de entropía",
+    kdf: "Derivación de clave",
+    kdfArgon2id: "Argon2id (uso intensivo de memoria)",
+    kdfScrypt: "scrypt (uso intensivo de memoria)",
+    iterations: "Iteraciones",
+    memory: "Memoria (MiB)",
+    passes: "Pasadas",
+    cost: "Coste N = 2^",
+    pasteRequest: "O pega un enlace de solicitud para cifrar con su clave",
+    expiresAfter: "Caduca tras",
+    maxOpens: "Aperturas máximas",
+    unlimited: "Sin límite",
+    noStoreOpens: "No hay almacén configurado: los enlaces incrustados pueden caducar pero no contar aperturas.",
+    compress: "Comprimir antes (enlaces más cortos)",
+    projected: "Tamaño del enlace ≈ {size} de {limit} para un enlace incrustado ({chars} caracteres).",
+    projectedStored: "Demasiado grande para incrustar: se guardará con un ID corto.",
+    projectedNoStore: "Demasiado grande para incrustar, y no hay almacén configurado.",
+    recipientLanguage: "Idioma del destinatario",
+    recipientLanguageAuto: "El de su navegador",
+    sign: "Firmar como yo",
+    signFingerprint: "Firmado con tu clave de remitente {fingerprint}. Comparte esta huella con los destinatarios para que puedan fijarte.",
+    split: "Dividir el código en partes",
+    splitOf: "{threshold} de {count} cualesquiera lo reconstruyen",
+    splitThreshold: "Partes necesarias",
+    splitCount: "Número de partes",
+    shareLabel: "Parte {index} de {count}",
+    shareCopied: "Copiada",
+    showShareQr: "QR",
+    hideShareQr: "Ocultar QR",
+    shareWithShares: "Envía el enlace al destinatario y da una parte a cada custodio. {threshold} partes cualesquiera reconstruyen el código; menos no revelan nada de él.",
+    prepare: "Preparar",
+    preparing: "Preparando…",
+    previewLabel: "Vista previa:",
+    encryptedSummary: "{filename} → cifrado ({size})",
+    linkGenerated: "Enlace generado",
+    storedById: "guardado con ID corto",
+    expires: "caduca el {date}",
+    showLinkQr: "Mostrar QR del enlace",
+    hideLinkQr: "Ocultar QR del enlace",
+    showCodeQr: "Mostrar QR del código",
+    hideCodeQr: "Ocultar QR del código",
+    framesHint: "El destinatario escanea esta secuencia con «Abrir desde QR» en la página de inicio de BurnZip.",
+    codeQrHint: "Entrega el código por separado del enlace, por ejemplo en persona mientras el enlace va por mensaje.",
+    shareWithCode: "Comparte este enlace y el código con el destinatario. Solo necesita el código para descifrar.",
+    shareToRequester: "Envía este enlace a quien pidió el archivo. Solo el navegador que hizo la solicitud puede abrirlo; no hay código.",
+    linkCopied: "Enlace copiado al portapapeles",
+    copyFailed: "No se pudo copiar",
+  },
+  expiry: {
+    hours: { one: "{count} hora", other: "{count} horas" },
+    days: { one: "{count} día", other: "{count} días" },
+    never: "Nunca",
+  },
+  strength: {
+    weak: "Débil",
+    fair: "Aceptable",
+    strong: "Fuerte",
+    veryStrong: "Muy fuerte",
+  },
+  alphabet: {
+    alnum: "A–Z y 0–9",
+    unambiguous: "Sin caracteres parecidos (0/O, 1/I)",
+    digits: "Solo dígitos",
+    diceware: "Palabras Diceware",
+  },
+  qrImport: {
+    title: "Abrir desde QR",
+    intro: "Escanea el QR del enlace, o apunta la cámara a una secuencia QR animada hasta leer todos los fotogramas.",
+    stopCamera: "Detener cámara",
+    scan: "Escanear con la cámara",
+    upload: "Subir imágenes QR",
+    framesReceived: "Fotogramas recibidos: {received} de {total}",
+    cameraUnavailable: "Cámara no disponible. Sube imágenes de los códigos QR.",
+    noQrFound: { one: "No se encontró ningún código QR en {count} imagen.", other: "No se encontró ningún código QR en {count} imágenes." },
+    missingFrame: "Falta el fotograma QR {index} de {total}. Sigue escaneando hasta leerlos todos.",
+    badChecksum: "Los fotogramas QR no cuadran. Vuelve a escanear la secuencia.",
+  },
+  requestFile: {
+    title: "Solicitar un archivo",
+    intro: "Envía el enlace de solicitud a quien tenga el archivo. Lo cifrará con una clave que solo tiene este navegador, así que no hace falta pasar ningún código. Abre en este mismo navegador el enlace que te devuelva.",
+    create: "Crear enlace de solicitud",
+    copied: "Copiado",
+    fingerprint: "Huella de la clave: {fingerprint}; el remitente ve el mismo valor.",
+    keys: "Claves en este navegador",
+    copyLink: "Copiar enlace",
+    forget: "Olvidar",
+    forgetNote: "Olvidar una clave hace ilegibles los archivos enviados a ella. Borrar los datos del sitio tiene el mismo efecto.",
+    noKeyStore: "Este navegador no puede guardar claves (¿modo privado?), así que no puede recibir archivos solicitados.",
+    createFailed: "No se pudo crear una clave en este navegador.",
+  },
+  preview: {
+    noPdf: "Este navegador no puede mostrar PDF aquí. Descarga el archivo para leerlo.",
+    truncated: "La vista previa muestra los primeros {size}. Descarga el archivo para ver el resto.",
+    image: "[imagen: {alt}]",
+  },
+  recipient: {
+    expiredTitle: "BurnZip — Enlace caducado",
+    expiredBody: "Este enlace caducó el {date} y ya no se puede descifrar. Pide uno nuevo al remitente.",
+    title: "BurnZip — Contenido cifrado",
+    introCode: "Introduce el código que recibiste para descifrar y descargar el archivo o mensaje.",
+    introKey: "Esto se envió en respuesta a un enlace de solicitud creado en este navegador. No hace falta código.",
+    fetching: "Obteniendo el contenido cifrado…",
+    expires: "Caduca el {date}",
+    neverExpires: "No caduca",
+    opens: { one: "se puede abrir una vez", other: "se puede abrir {count} veces" },
+    keyMissing: "La clave a la que se envió no está en este navegador. Abre el enlace en el navegador que creó la solicitud.",
+    sentToKey: "Enviado a tu clave {fingerprint}",
+    codePlaceholder: "Introduce el código o la frase",
+    sharePlaceholder: "Pega una parte del código (BZS1-…)",
+    addShare: "Añadir parte",
+    sharesCollected: "Partes reunidas: {collected} de {threshold}.",
+    sharesComplete: "Ya hay partes suficientes para reconstruir el código; puedes descifrar.",
+    useShares: "Tengo partes del código",
+    useCode: "Introducir el código completo",
+    codeLabel: "Código o frase de paso",
+    decrypt: "Descifrar y descargar",
+    working: "Procesando…",
+    loadingPreview: "Cargando vista previa…",
+    previewing: "Vista previa de {filename}",
+    ready: "Listo:",
+    downloadAll: "Descargar todo (.zip)",
+    downloadFile: "Descargar archivo descifrado",
+    savedToDisk: "Guardado directamente en tu carpeta de descargas.",
+    tipStored: "Consejo: esta página solo pide el código. El contenido cifrado se obtiene del almacén y se borra tras descifrarlo; el servidor nunca ve tu código.",
+    tipEmbedded: "Consejo: esta página solo pide el código. El contenido cifrado va dentro del enlace que recibiste; el servidor no ve tu código.",
+  },
+  notice: {
+    codeTooShort: "Introduce un código de al menos {min} caracteres",
+    kdfOutOfRange: "Estos ajustes de derivación de clave están fuera de rango: PBKDF2 admite de 1.000 a 10.000.000 iteraciones, Argon2id de 8 a 1024 MiB y de 1 a 20 pasadas, scrypt un coste de 10 a 20.",
+    selectFile: "Selecciona primero un archivo",
+    enterMessage: "Escribe primero un mensaje",
+    enterCode: "Introduce el código que recibiste para descifrar",
+    noStore: "El contenido supera el tamaño seguro para incrustar y no hay almacén configurado (define REACT_APP_BLOB_STORE_URL).",
+    cancelled: "Cancelado.",
+    encryptFailed: "Falló el cifrado; revisa la consola para más detalles",
+    decryptFailed: "Falló el descifrado. Revisa el código e inténtalo de nuevo.",
+    storeMissing: "Este enlace necesita un almacén, pero no hay ninguno configurado.",
+    storeExpired: "Este enlace ha caducado y su contenido se ha borrado.",
+    fetchFailed: "No se pudo obtener el contenido. Puede que ya se haya abierto o borrado.",
+    malformedRequest: "Enlace de solicitud mal formado",
+    unreadable: "No se puede leer este contenido.",
+    tooManyAttempts: "Demasiados códigos incorrectos.",
+    tooManyAttemptsHint: "Confirma el código con el remitente y recarga la página para volver a intentarlo.",
+    attemptsLeft: {
+      one: "Queda {count} intento en esta página. Las mayúsculas y los espacios no importan; busca caracteres confundidos o que falten.",
+      other: "Quedan {count} intentos en esta página. Las mayúsculas y los espacios no importan; busca caracteres confundidos o que falten.",
+    },
+    maybeDamaged: "Si el código es correcto, puede que el enlace esté dañado; pídelo de nuevo.",
+    opensUnaffected: "Los códigos incorrectos no gastan aperturas de este enlace.",
+    senderKeyFailed: "No se pudo crear una clave de remitente en este navegador.",
+    pinFailed: "No se pudo fijar este remitente en este navegador.",
+  },
+  embed: {
+    waiting: "Abre un enlace de BurnZip para descifrarlo aquí.",
+  },
+  sender: {
+    unsigned: "Sin firma: nada indica quién creó este enlace. Confía en él solo si lo esperabas.",
+    signedByUnknown: "Firmado por {fingerprint}, una clave que no has fijado.",
+    signedByPinned: "Firmado por {name} ({fingerprint})",
+    unknownHint: "Cualquiera puede crear una clave. Compara la huella con el remitente por otro canal antes de fijarla.",
+    verified: "Firma verificada.",
+    namePlaceholder: "Nombre del remitente",
+    pin: "Fijar remitente",
+    unpin: "Dejar de fijar",
+  },
+  errors: {
+    MALFORMED_LINK: {
+      message: "Este enlace está dañado.",
+      hint: "Copia el enlace completo otra vez, o pide al remitente que te lo pase como código QR.",
+    },
+    MALFORMED_PAYLOAD: {
+      message: "La cabecera de este contenido está dañada.",
+      hint: "No parece algo creado con BurnZip. Pide el enlace de nuevo al remitente.",
+    },
+    UNSUPPORTED: {
+      message: "Este contenido se creó con una versión más reciente de BurnZip.",
+      hint: "Recarga la página para actualizar e inténtalo de nuevo.",
+    },
+    TRUNCATED: {
+      message: "Este contenido está incompleto.",
+      hint: "Falta una parte, a menudo porque una app de chat recortó un mensaje largo. Pide el enlace de nuevo, o como código QR.",
+    },
+    TAMPERED: {
+      message: "Este contenido se modificó o dañó después de cifrarse.",
+      hint: "El código es correcto, pero el contenido cambió tras enviarse. Pide al remitente que lo envíe de nuevo.",
+    },
+    WRONG_CODE: {
+      message: "Código incorrecto.",
+      hint: "Revisa el código e inténtalo de nuevo.",
+    },
+    DECRYPT_FAILED: {
+      message: "Falló el descifrado.",
+      hint: "Revisa el código e inténtalo de nuevo.",
+    },
+    EXPIRED: {
+      message: "Este enlace ha caducado.",
+      hint: "Pide un enlace nuevo al remitente.",
+    },
+    MISSING_KEY: {
+      message: "Esto se envió a una clave que este navegador no tiene.",
+      hint: "Abre el enlace en el navegador que creó la solicitud.",
+    },
+    INVALID_INPUT: {
+      message: "Algo de lo introducido no es válido.",
+      hint: "Revisa el código y el archivo e inténtalo de nuevo.",
+    },
+    BAD_SHARE: {
+      message: "Esta parte del código está dañada o pertenece a otro enlace.",
+      hint: "Vuelve a copiar la parte completa. Todas las partes que combines deben venir del mismo remitente y enlace.",
+    },
+  },
+};
+
+export default es;
@@ -0,0 +1,292 @@
+// French UI strings; keys mirror en.js.
+const fr = {
+  common: {
+    close: "Fermer",
+    cancel: "Annuler",
+    copy: "Copier",
+    download: "Télécharger",
+    preview: "Aperçu",
+    dismiss: "Ignorer",
+    language: "Langue",
+    count: "{count}",
+  },
+  size: {
+    kb: { one: "{count} Ko", other: "{count} Ko" },
+  },
+  progress: {
+    fetching: "Récupération",
+    bundling: "Regroupement",
+    uploading: "Envoi",
+    encrypting: "Chiffrement",
+    decrypting: "Déchiffrement",
+  },
+  qr: {
+    pause: "Pause",
+    play: "Lecture",
+    previous: "Image précédente",
+    next: "Image suivante",
+    frame: "Image {current} sur {total}",
+  },
+  landing: {
+    title: "Bienvenue sur BurnZip",
+    tagline: "Pas de compte. Pas de métadonnées de suivi. Pas de journaux. Pas de stockage. Aucune trace. Juste la confiance.",
+    requestFile: "Demander un fichier",
+    openFromQr: "Ouvrir depuis un QR",
+    getStarted: "Commencer",
+    intro: "Une plateforme SaaS axée sur la confidentialité qui s’appuie sur une IA modulaire pour faciliter le partage de fichiers chiffrés, sans compromettre l’autonomie de l’utilisateur.",
+    storedTitle: "✅ Ce qui est stocké",
+    storedLead: "Des fichiers chiffrés, jamais de données en clair.",
+    storedBody: "Stockés dans un cache de courte durée. Supprimés à l’expiration, après 24 heures, ou après téléchargement.",
+    whereTitle: "🧠 Où c’est stocké",
+    whereBody: "Aucun stockage persistant sur disque. Aucune trace en base de données. Sur une infrastructure tierce que vous contrôlez. Caches de courte durée uniquement.",
+    quickStartTitle: "Démarrage rapide",
+    quickStartBody: "Cliquez sur {getStarted} pour ouvrir l’outil d’envoi. Choisissez « Fichier » ou « Message », gardez le code généré (ou choisissez le vôtre), puis cliquez sur Préparer. Partagez le lien et le code générés. Supprimés à l’expiration, après 24 heures, ou après téléchargement.",
+    homeScreenTitle: "Ajouter à l’écran d’accueil",
+    homeScreenIos: "Touchez l’icône de partage, puis « Sur l’écran d’accueil »",
+    homeScreenAndroid: "Touchez le menu à trois points, puis « Ajouter à l’écran d’accueil »",
+    homeScreenOffline: "Une fois installé, BurnZip fonctionne hors ligne et apparaît dans votre menu de partage : d’autres applis peuvent lui envoyer des fichiers et du texte.",
+    securityTitle: "Notes de sécurité",
+    securityBody: "Tout le chiffrement a lieu sur votre appareil avant l’envoi. Gardez votre code en lieu sûr ; BurnZip ne peut pas le récupérer pour vous.",
+    privacyTitle: "Politique de confidentialité",
+    privacyAccountsTitle: "Pas de compte, pas de suivi",
+    privacyAccountsBody: "BurnZip ne demande ni compte, ni identifiant, ni donnée personnelle.",
+    privacyEncryptionTitle: "Chiffrement côté client",
+    privacyEncryptionBody: "Les fichiers sont chiffrés localement avant le transfert. Les serveurs de BurnZip ne voient jamais le contenu en clair.",
+    privacyMetadataTitle: "Métadonnées temporaires",
+    privacyMetadataBody: "Des métadonnées non identifiantes peuvent servir à la livraison ; elles sont supprimées automatiquement.",
+    privacyCookiesTitle: "Ni cookies ni statistiques",
+    privacyCookiesBody: "BurnZip n’utilise ni cookies ni traceurs.",
+    contactTitle: "Contact",
+    contactEmail: "E-mail :",
+  },
+  uploader: {
+    title: "Préparer l’envoi",
+    file: "Fichier",
+    message: "Message",
+    drop: "Déposez des fichiers ou un dossier ici",
+    chooseFiles: "Choisir des fichiers",
+    chooseFolder: "Choisir un dossier",
+    selected: "Sélection : {selection}",
+    files: { one: "{count} fichier", other: "{count} fichiers" },
+    messagePlaceholder: "Écrivez un court message",
+    requestBanner: "Chiffrement pour un lien de demande · empreinte de la clé {fingerprint}",
+    requestNote: "Aucun code n’est nécessaire : seul le navigateur qui a fait la demande peut ouvrir le résultat. Si possible, vérifiez l’empreinte avec le demandeur.",
+    useCode: "Utiliser un code",
+    code: "Code",
+    newCode: "Nouveau",
+    words: "Mots",
+    length: "Longueur",
+    entropy: "{strength} · ~{bits} bits d’entropie",
+    kdf: "Dérivation de clé",
+    kdfArgon2id: "Argon2id (gourmand en mémoire)",
+    kdfScrypt: "scrypt (gourmand en mémoire)",
+    iterations: "Itérations",
+    memory: "Mémoire (Mio)",
+    passes: "Passes",
+    cost: "Coût N = 2^",
+    pasteRequest: "Ou collez un lien de demande pour chiffrer avec sa clé",
+    expiresAfter: "Expire après",
+    maxOpens: "Ouvertures max.",
+    unlimited: "Illimité",
+    noStoreOpens: "Aucun stockage configuré : les liens intégrés peuvent expirer mais pas compter les ouvertures.",
+    compress: "Compresser d’abord (liens plus courts)",
+    projected: "Taille du lien ≈ {size} sur {limit} pour un lien intégré ({chars} caractères).",
+    projectedStored: "Trop gros pour être intégré : il sera stocké par ID court.",
+    projectedNoStore: "Trop gros pour être intégré, et aucun stockage n’est configuré.",
+    recipientLanguage: "Langue du destinataire",
+    recipientLanguageAuto: "Celle de son navigateur",
+    sign: "Signer en mon nom",
+    signFingerprint: "Signé avec votre clé d’expéditeur {fingerprint}. Communiquez cette empreinte aux destinataires pour qu’ils puissent vous épingler.",
+    split: "Diviser le code en fragments",
+    splitOf: "{threshold} sur {count}, quels qu’ils soient, le reconstituent",
+    splitThreshold: "Fragments nécessaires",
+    splitCount: "Nombre de fragments",
+    shareLabel: "Fragment {index} sur {count}",
+    shareCopied: "Copié",
+    showShareQr: "QR",
+    hideShareQr: "Masquer le QR",
+    shareWithShares: "Envoyez le lien au destinataire et remettez un fragment à chaque dépositaire. {threshold} fragments quelconques reconstituent le code ; moins n’en révèlent rien.",
+    prepare: "Préparer",
+    preparing: "Préparation…",
+    previewLabel: "Aperçu :",
+    encryptedSummary: "{filename} → chiffré ({size})",
+    linkGenerated: "Lien de partage généré",
+    storedById: "stocké par ID court",
+    expires: "expire le {date}",
+    showLinkQr: "Afficher le QR du lien",
+    hideLinkQr: "Masquer le QR du lien",
+    showCodeQr: "Afficher le QR du code",
+    hideCodeQr: "Masquer le QR du code",
+    framesHint: "Le destinataire scanne cette séquence avec « Ouvrir depuis un QR » sur la page d’accueil de BurnZip.",
+    codeQrHint: "Transmettez le code séparément du lien, par exemple en personne pendant que le lien part par message.",
+    shareWithCode: "Partagez ce lien et le code avec le destinataire. Il n’a besoin que du code pour déchiffrer.",
+    shareToRequester: "Renvoyez ce lien à la personne qui a demandé le fichier. Seul le navigateur qui a fait la demande peut l’ouvrir ; il n’y a pas de code.",
+    linkCopied: "Lien copié dans le presse-papiers",
+    copyFailed: "Échec de la copie",
+  },
+  expiry: {
+    hours: { one: "{count} heure", other: "{count} heures" },
+    days: { one: "{count} jour", other: "{count} jours" },
+    never: "Jamais",
+  },
+  strength: {
+    weak: "Faible",
+    fair: "Correct",
+    strong: "Fort",
+    veryStrong: "Très fort",
+  },
+  alphabet: {
+    alnum: "A–Z et 0–9",
+    unambiguous: "Sans caractères ambigus (0/O, 1/I)",
+    digits: "Chiffres uniquement",
+    diceware: "Mots Diceware",
+  },
+  qrImport: {
+    title: "Ouvrir depuis un QR",
+    intro: "Scannez le QR du lien, ou gardez la caméra sur une séquence QR animée jusqu’à ce que toutes les images soient lues.",
+    stopCamera: "Arrêter la caméra",
+    scan: "Scanner avec la caméra",
+    upload: "Importer des images QR",
+    framesReceived: "Images reçues : {received} sur {total}",
+    cameraUnavailable: "Caméra indisponible. Importez plutôt des images des codes QR.",
+    noQrFound: { one: "Aucun code QR trouvé dans {count} image.", other: "Aucun code QR trouvé dans {count} images." },
+    missingFrame: "Il manque l’image QR {index} sur {total}. Continuez jusqu’à ce que toutes aient été lues.",
+    badChecksum: "Les images QR ne concordent pas. Scannez à nouveau la séquence.",
+  },
+  requestFile: {
+    title: "Demander un fichier",
+    intro: "Envoyez le lien de demande à la personne qui a le fichier. Elle le chiffre avec une clé que seul ce navigateur possède : aucun code à faire circuler. Ouvrez le lien qu’elle vous renvoie dans ce même navigateur.",
+    create: "Créer un lien de demande",
+    copied: "Copié",
+    fingerprint: "Empreinte de la clé : {fingerprint} — l’expéditeur voit la même valeur.",
+    keys: "Clés de ce navigateur",
+    copyLink: "Copier le lien",
+    forget: "Oublier",
+    forgetNote: "Oublier une clé rend illisibles les fichiers qui lui ont été envoyés. Effacer les données du site a le même effet.",
+    noKeyStore: "Ce navigateur ne peut pas stocker de clés (navigation privée ?), il ne peut donc pas recevoir de fichiers demandés.",
+    createFailed: "Impossible de créer une clé dans ce navigateur.",
+  },
+  preview: {
+    noPdf: "Ce navigateur ne peut pas afficher les PDF ici. Téléchargez le fichier pour le lire.",
+    truncated: "L’aperçu montre les premiers {size}. Téléchargez le fichier pour voir la suite.",
+    image: "[image : {alt}]",
+  },
+  recipient: {
+    expiredTitle: "BurnZip — Lien expiré",
+    expiredBody: "Ce lien a expiré le {date} et ne peut plus être déchiffré. Demandez-en un nouveau à l’expéditeur.",
+    title: "BurnZip — Contenu chiffré",
+    introCode: "Saisissez le code reçu pour déchiffrer et télécharger le fichier ou le message.",
+    introKey: "Ceci a été envoyé en réponse à un lien de demande créé dans ce navigateur. Aucun code n’est nécessaire.",
+    fetching: "Récupération du contenu chiffré…",
+    expires: "Expire le {date}",
+    neverExpires: "N’expire jamais",
+    opens: { one: "peut être ouvert une fois", other: "peut être ouvert {count} fois" },
+    keyMissing: "La clé destinataire n’est pas dans ce navigateur. Ouvrez le lien dans le navigateur qui a créé la demande.",
+    sentToKey: "Envoyé à votre clé {fingerprint}",
+    codePlaceholder: "Saisissez le code ou la phrase secrète",
+    sharePlaceholder: "Collez un fragment de code (BZS1-…)",
+    addShare: "Ajouter le fragment",
+    sharesCollected: "Fragments réunis : {collected} sur {threshold}.",
+    sharesComplete: "Assez de fragments pour reconstituer le code ; vous pouvez déchiffrer.",
+    useShares: "J’ai des fragments du code",
+    useCode: "Saisir le code complet",
+    codeLabel: "Code ou phrase secrète",
+    decrypt: "Déchiffrer et télécharger",
+    working: "Traitement…",
+    loadingPreview: "Chargement de l’aperçu…",
+    previewing: "Aperçu de {filename}",
+    ready: "Prêt :",
+    downloadAll: "Tout télécharger (.zip)",
+    downloadFile: "Télécharger le fichier déchiffré",
+    savedToDisk: "Enregistré directement dans votre dossier de téléchargements.",
+    tipStored: "Astuce : cette page ne demande que le code. Le contenu chiffré est récupéré depuis le stockage puis supprimé après déchiffrement ; le serveur ne voit jamais votre code.",
+    tipEmbedded: "Astuce : cette page ne demande que le code. Le contenu chiffré est inclus dans le lien reçu ; le serveur ne voit pas votre code.",
+  },
+  notice: {
+    codeTooShort: "Saisissez un code d’au moins {min} caractères",
+    kdfOutOfRange: "Ces réglages de dérivation de clé sont hors limites : PBKDF2 accepte de 1 000 à 10 000 000 itérations, Argon2id de 8 à 1024 Mio et de 1 à 20 passes, scrypt un coût de 10 à 20.",
+    selectFile: "Sélectionnez d’abord un fichier",
+    enterMessage: "Saisissez d’abord un message",
+    enterCode: "Saisissez le code reçu pour déchiffrer",
+    noStore: "Le contenu dépasse la taille sûre pour un lien et aucun stockage n’est configuré (définissez REACT_APP_BLOB_STORE_URL).",
+    cancelled: "Annulé.",
+    encryptFailed: "Échec du chiffrement ; consultez la console pour plus de détails",
+    decryptFailed: "Échec du déchiffrement. Vérifiez le code et réessayez.",
+    storeMissing: "Ce lien nécessite un stockage, mais aucun n’est configuré.",
+    storeExpired: "Ce lien a expiré et son contenu a été supprimé.",
+    fetchFailed: "Impossible de récupérer ce contenu. Il a peut-être déjà été ouvert ou supprimé.",
+    malformedRequest: "Lien de demande mal formé",
+    unreadable: "Ce contenu est illisible.",
+    tooManyAttempts: "Trop de codes erronés.",
+    tooManyAttemptsHint: "Vérifiez le code avec l’expéditeur, puis rechargez la page pour réessayer.",
+    attemptsLeft: {
+      one: "Il reste {count} essai sur cette page. La casse et les espaces n’ont pas d’importance : cherchez des caractères confondus ou manquants.",
+      other: "Il reste {count} essais sur cette page. La casse et les espaces n’ont pas d’importance : cherchez des caractères confondus ou manquants.",
+    },
+    maybeDamaged: "Si le code est bon, le lien est peut-être abîmé ; redemandez-le.",
+    opensUnaffected: "Les codes erronés ne consomment aucune ouverture de ce lien.",
+    senderKeyFailed: "Impossible de créer une clé d’expéditeur dans ce navigateur.",
+    pinFailed: "Impossible d’épingler cet expéditeur dans ce navigateur.",
+  },
+  embed: {
+    waiting: "Ouvrez un lien BurnZip pour le déchiffrer ici.",
+  },
+  sender: {
+    unsigned: "Non signé : rien n’indique qui a créé ce lien. Ne vous y fiez que si vous l’attendiez.",
+    signedByUnknown: "Signé par {fingerprint}, une clé que vous n’avez pas épinglée.",
+    signedByPinned: "Signé par {name} ({fingerprint})",
+    unknownHint: "N’importe qui peut créer une clé. Comparez l’empreinte avec l’expéditeur par un autre canal avant de l’épingler.",
+    verified: "Signature vérifiée.",
+    namePlaceholder: "Nom de l’expéditeur",
+    pin: "Épingler l’expéditeur",
+    unpin: "Désépingler",
+  },
+  errors: {
+    MALFORMED_LINK: {
+      message: "Ce lien est abîmé.",
+      hint: "Copiez de nouveau le lien entier, ou demandez-le à l’expéditeur sous forme de QR code.",
+    },
+    MALFORMED_PAYLOAD: {
+      message: "L’en-tête de ce contenu est abîmé.",
+      hint: "Cela ne ressemble pas à un contenu BurnZip. Redemandez le lien à l’expéditeur.",
+    },
+    UNSUPPORTED: {
+      message: "Ce contenu a été créé par une version plus récente de BurnZip.",
+      hint: "Rechargez la page pour mettre à jour, puis réessayez.",
+    },
+    TRUNCATED: {
+      message: "Ce contenu est tronqué.",
+      hint: "Une partie manque, souvent parce qu’une messagerie a raccourci un long message. Redemandez le lien, ou un QR code.",
+    },
+    TAMPERED: {
+      message: "Ce contenu a été modifié ou abîmé après son chiffrement.",
+      hint: "Le code est bon, mais le contenu a changé après l’envoi. Demandez à l’expéditeur de le renvoyer.",
+    },
+    WRONG_CODE: {
+      message: "Code erroné.",
+      hint: "Vérifiez le code et réessayez.",
+    },
+    DECRYPT_FAILED: {
+      message: "Échec du déchiffrement.",
+      hint: "Vérifiez le code et réessayez.",
+    },
+    EXPIRED: {
+      message: "Ce lien a expiré.",
+      hint: "Demandez un nouveau lien à l’expéditeur.",
+    },
+    MISSING_KEY: {
+      message: "Ceci a été envoyé à une clé absente de ce navigateur.",
+      hint: "Ouvrez le lien dans le navigateur qui a créé la demande.",
+    },
+    INVALID_INPUT: {
+      message: "Une partie de la saisie n’est pas valide.",
+      hint: "Vérifiez le code et le fichier, puis réessayez.",
+    },
+    BAD_SHARE: {
+      message: "Ce fragment de code est endommagé ou appartient à un autre lien.",
+      hint: "Recopiez le fragment en entier. Tous les fragments combinés doivent venir du même expéditeur et du même lien.",
+    },
+  },
+};
+
+export default fr;
@@ -0,0 +1,106 @@
+/**
+ * MIME detection for decrypted payloads.
+ *
+ * The sender's stored type wins when it is specific; otherwise we sniff magic
+ * bytes, then fall back to the file extension, then to a UTF-8 text check.
+ */
+
+const SIGNATURES = [
+  { mime: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { mime: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mime: "image/bmp", bytes: [0x42, 0x4d] },
+  { mime: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mime: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mime: "audio/mpeg", bytes: [0x49, 0x44, 0x33] },
+  { mime: "audio/ogg", bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mime: "audio/flac", bytes: [0x66, 0x4c, 0x61, 0x43] },
+  { mime: "video/webm", bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+];
+
+const EXTENSIONS = {
+  png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif", webp: "image/webp", svg: "image/svg+xml", bmp: "image/bmp",
+  pdf: "application/pdf",
+  mp3: "audio/mpeg", wav: "audio/wav", ogg: "audio/ogg", flac: "audio/flac", m4a: "audio/mp4",
+  mp4: "video/mp4", m4v: "video/mp4", mov: "video/quicktime", webm: "video/webm",
+  md: "text/markdown", markdown: "text/markdown",
+  txt: "text/plain", log: "text/plain", csv: "text/csv",
+  json: "application/json", js: "text/javascript", jsx: "text/javascript", ts: "text/typescript", tsx: "text/typescript",
+  py: "text/x-python", go: "text/x-go", rs: "text/x-rust", c: "text/x-c", h: "text/x-c", cpp: "text/x-c++", java: "text/x-java",
+  kt: "text/x-kotlin", swift: "text/x-swift", rb: "text/x-ruby", sh: "text/x-shellscript", yml: "text/yaml", yaml: "text/yaml",
+  html: "text/html", htm: "text/html", xml: "text/xml", css: "text/css", sql: "text/x-sql", graphql: "text/x-graphql",
+  zip: "application/zip",
+};
+
+// prism-react-renderer language ids by extension
+const CODE_LANGUAGES = {
+  js: "javascript", jsx: "jsx", ts: "typescript", tsx: "tsx", json: "json", py: "python", go: "go", rs: "rust",
+  c: "c", h: "c", cpp: "cpp", java: "clike", kt: "kotlin", swift: "swift",
+  yml: "yaml", yaml: "yaml", html: "markup", htm: "markup", xml: "markup", svg: "markup", css: "css", sql: "sql", graphql: "graphql",
+};
+
+function extensionOf(filename) {
+  const m = /\.([A-Za-z0-9]+)$/.exec(filename || "");
+  return m ? m[1].toLowerCase() : "";
+}
+
+function matches(u8, bytes, offset = 0) {
+  return bytes.every((b, i) => u8[offset + i] === b);
+}
+
+function sniffMagic(u8) {
+  const hit = SIGNATURES.find((s) => matches(u8, s.bytes));
+  if (hit) return hit.mime;
+  const ascii = (from, to) => String.fromCharCode(...u8.subarray(from, to));
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return "audio/wav";
+  if (ascii(4, 8) === "ftyp") return ascii(8, 11) === "M4A" ? "audio/mp4" : "video/mp4";
+  return null;
+}
+
+// true if the bytes decode as UTF-8 with no control characters other than whitespace
+export function looksLikeText(u8) {
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    const text = new TextDecoder("utf-8", { fatal: true }).decode(u8, { stream: true });
+    for (let i = 0; i < text.length; i++) {
+      const c = text.charCodeAt(i);
+      if (c < 0x20 && c !== 0x09 && c !== 0x0a && c !== 0x0d && c !== 0x0c) return false;
+    }
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// head: the first few KB of the plaintext
+export function detectMime(storedMime, filename, head) {
+  const stored = (storedMime || "").split(";")[0].trim().toLowerCase();
+  if (stored && stored !== "application/octet-stream") return storedMime;
+  const sniffed = head ? sniffMagic(head) : null;
+  if (sniffed) return sniffed;
+  const byExt = EXTENSIONS[extensionOf(filename)];
+  if (byExt) return byExt;
+  if (head && looksLikeText(head)) return "text/plain;charset=utf-8";
+  return "application/octet-stream";
+}
+
+// "image" | "pdf" | "audio" | "video" | "markdown" | "code" | "text" | null
+// SVG is a document that can carry script, so it is shown as source, never as an image
+export function previewKind(mime, filename) {
+  const base = (mime || "").split(";")[0].trim().toLowerCase();
+  const ext = extensionOf(filename);
+  if (base.endsWith("+xml") || ext === "svg") return "code";
+  if (base.startsWith("image/")) return "image";
+  if (base === "application/pdf") return "pdf";
+  if (base.startsWith("audio/")) return "audio";
+  if (base.startsWith("video/")) return "video";
+  if (base === "text/markdown" || ext === "md" || ext === "markdown") return "markdown";
+  if (CODE_LANGUAGES[ext]) return "code";
+  if (base.startsWith("text/") || base === "application/json") return "text";
+  return null;
+}
+
+export function codeLanguage(filename) {
+  return CODE_LANGUAGES[extensionOf(filename)] || "text";
+}
@@ -0,0 +1,30 @@
+/**
+ * @jest-environment node
+ */
+import { detectMime, looksLikeText, previewKind } from "./mime";
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]);
+const utf8 = (text) => new TextEncoder().encode(text);
+
+describe("mime detection", () => {
+  test("the sender's specific type wins over magic bytes and the extension", () => {
+    expect(detectMime("text/plain;charset=utf-8", "notes.png", PNG)).toBe("text/plain;charset=utf-8");
+    expect(detectMime("application/octet-stream", "notes.txt", PNG)).toBe("image/png");
+    expect(detectMime(null, "notes.md", utf8("# hi"))).toBe("text/markdown");
+    expect(detectMime("", "notes", utf8("plain words"))).toBe("text/plain;charset=utf-8");
+  });
+
+  test("a multi-byte character cut at the end of the sample is still text", () => {
+    const sample = utf8("café ニャー").slice(0, -1);
+    expect(looksLikeText(sample)).toBe(true);
+    expect(looksLikeText(new Uint8Array([0x63, 0xc3, 0x41]))).toBe(false);
+    expect(looksLikeText(utf8("bell\u0007"))).toBe(false);
+  });
+
+  test("SVG previews as source, never as an image", () => {
+    expect(previewKind("image/svg+xml", "logo.svg")).toBe("code");
+    expect(previewKind("image/svg+xml", "logo")).toBe("code");
+    expect(previewKind("application/octet-stream", "logo.svg")).toBe("code");
+    expect(previewKind("image/png", "logo.png")).toBe("image");
+  });
+});
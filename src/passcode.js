@@ -0,0 +1,84 @@
+import { MIN_CODE_LENGTH, normalizeCode } from "./core";
+
+/**
+ * Code / passphrase generation and strength estimation.
+ *
+ * Everything is drawn from crypto.getRandomValues with rejection sampling, so
+ * each symbol is uniform over its alphabet. Codes are compared in normalised
+ * form (see normalizeCode), which keeps old 10-character links working.
+ */
+
+export const CODE_ALPHABETS = {
+  alnum: { chars: "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789" },
+  unambiguous: { chars: "ABCDEFGHJKMNPQRSTVWXYZ23456789" },
+  digits: { chars: "0123456789" },
+  diceware: { chars: null },
+};
+
+export const DEFAULT_CODE_OPTIONS = { alphabet: "alnum", length: 10, words: 6 };
+export { MIN_CODE_LENGTH, normalizeCode };
+
+const DICEWARE_LIST_SIZE = 7776;
+let wordListPromise = null;
+
+// the EFF list is ~60 KB, so it is only fetched once someone asks for words
+function loadWordList() {
+  if (!wordListPromise) {
+    wordListPromise = import("diceware-wordlist-en-eff").then((mod) => Object.values(mod.default || mod));
+  }
+  return wordListPromise;
+}
+
+// uniform integer in [0, n) for n <= 2^32
+function randomIndex(n) {
+  const limit = Math.floor(0x100000000 / n) * n;
+  const buf = new Uint32Array(1);
+  for (;;) {
+    window.crypto.getRandomValues(buf);
+    if (buf[0] < limit) return buf[0] % n;
+  }
+}
+
+export async function generateCode({ alphabet, length, words } = DEFAULT_CODE_OPTIONS) {
+  if (alphabet === "diceware") {
+    const list = await loadWordList();
+    return Array.from({ length: words }, () => list[randomIndex(list.length)]).join("-").toUpperCase();
+  }
+  const chars = (CODE_ALPHABETS[alphabet] || CODE_ALPHABETS.alnum).chars;
+  let out = "";
+  for (let i = 0; i < length; i++) out += chars[randomIndex(chars.length)];
+  return out;
+}
+
+/**
+ * Entropy estimate in bits. Exact for codes produced by generateCode with the
+ * given options; otherwise a character-class estimate, which overstates
+ * human-chosen codes, so treat it as an upper bound.
+ */
+export function estimateEntropyBits(code, generatedWith) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return 0;
+  if (generatedWith && generatedWith.code === normalized) {
+    const opts = generatedWith.options;
+    if (opts.alphabet === "diceware") return opts.words * Math.log2(DICEWARE_LIST_SIZE);
+    return opts.length * Math.log2(CODE_ALPHABETS[opts.alphabet].chars.length);
+  }
+  if (/^[A-Z]{3,}(-[A-Z]{3,})+$/.test(normalized)) {
+    return normalized.split("-").length * Math.log2(DICEWARE_LIST_SIZE);
+  }
+  let pool = 0;
+  if (/[A-Z]/.test(normalized)) pool += 26;
+  if (/[0-9]/.test(normalized)) pool += 10;
+  if (/[^A-Z0-9]/.test(normalized)) pool += 33;
+  const distinct = new Set(normalized).size;
+  // repeated characters add little: count each distinct symbol fully, repeats at half weight
+  return (distinct + (normalized.length - distinct) / 2) * Math.log2(pool);
+}
+
+// tone names a theme colour (theme.js)
+export function describeStrength(bits) {
+  if (bits < 40) return { id: "weak", tone: "danger" };
+  if (bits < 60) return { id: "fair", tone: "warning" };
+  if (bits < 80) return { id: "strong", tone: "success" };
+  return { id: "veryStrong", tone: "success" };
+}
@@ -0,0 +1,87 @@
+/**
+ * Multi-frame QR transport for payloads too big for one code.
+ *
+ * The base64 payload of a #share: link is cut into fixed-size chunks, each
+ * carried by one frame:
+ *   BZQR1:<index>/<total>:<digest>:<chunk>
+ * digest is the first 8 hex chars of SHA-256 over the whole base64 payload; it
+ * groups frames from the same payload and verifies the reassembled result.
+ * Frames are shown in a loop, so a frame the scanner missed comes round again.
+ */
+
+const FRAME_PREFIX = "BZQR1:";
+const FRAME_RE = /^BZQR1:(\d+)\/(\d+):([0-9a-f]{8}):([A-Za-z0-9+/=_-]*)$/;
+
+export const QR_FRAME_CHARS = 700;
+// beyond this a single on-screen code is too dense for most phone cameras
+export const SINGLE_QR_MAX_CHARS = 1200;
+
+async function digest8(text) {
+  const hash = await window.crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(hash).slice(0, 4), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function payloadToFrames(b64, chunkChars = QR_FRAME_CHARS) {
+  const digest = await digest8(b64);
+  const total = Math.max(1, Math.ceil(b64.length / chunkChars));
+  const frames = [];
+  for (let i = 0; i < total; i++) {
+    frames.push(`${FRAME_PREFIX}${i + 1}/${total}:${digest}:${b64.slice(i * chunkChars, (i + 1) * chunkChars)}`);
+  }
+  return frames;
+}
+
+export function parseFrame(text) {
+  const m = FRAME_RE.exec(text || "");
+  if (!m) return null;
+  const index = Number(m[1]);
+  const total = Number(m[2]);
+  if (!index || !total || index > total) return null;
+  return { index, total, digest: m[3], data: m[4] };
+}
+
+function frameError(key, params) {
+  const e = new Error(key);
+  e.key = key;
+  e.params = params;
+  return e;
+}
+
+/**
+ * Accumulates scanned frames in any order. A frame from a different payload
+ * (different digest) starts the collection over.
+ */
+export function createFrameCollector() {
+  let digest = null;
+  let total = 0;
+  const chunks = new Map();
+
+  return {
+    // returns true if the text was a frame
+    add(text) {
+      const frame = parseFrame(text);
+      if (!frame) return false;
+      if (frame.digest !== digest || frame.total !== total) {
+        chunks.clear();
+        digest = frame.digest;
+        total = frame.total;
+      }
+      chunks.set(frame.index, frame.data);
+      return true;
+    },
+    status() {
+      return { received: chunks.size, total, complete: total > 0 && chunks.size === total };
+    },
+    // resolves to the base64 payload; rejects if the frames don't add up, with
+    // error.key / error.params naming the qrImport.* catalog message
+    async assemble() {
+      let b64 = "";
+      for (let i = 1; i <= total; i++) {
+        if (!chunks.has(i)) throw frameError("qrImport.missingFrame", { index: i, total });
+        b64 += chunks.get(i);
+      }
+      if ((await digest8(b64)) !== digest) throw frameError("qrImport.badChecksum");
+      return b64;
+    },
+  };
+}
@@ -0,0 +1,40 @@
+import { payloadToFrames, parseFrame, createFrameCollector } from "./qrFrames";
+
+const PAYLOAD = "QlpaAAECAwQFBgcICQoLDA0ODxAREhMUFRYXGBkaGxwdHh8gISIjJCUmJygpKissLS4vMDEy";
+
+describe("QR frames", () => {
+  test("reassembles frames scanned out of order and seen twice", async () => {
+    const frames = await payloadToFrames(PAYLOAD, 16);
+    expect(frames).toHaveLength(5);
+    const collector = createFrameCollector();
+    for (const i of [3, 0, 4, 0, 2]) collector.add(frames[i]);
+    expect(collector.status()).toEqual({ received: 4, total: 5, complete: false });
+    await expect(collector.assemble()).rejects.toMatchObject({ key: "qrImport.missingFrame", params: { index: 2, total: 5 } });
+    expect(collector.add("https://example.test/not-a-frame")).toBe(false);
+    collector.add(frames[1]);
+    expect(collector.status().complete).toBe(true);
+    expect(await collector.assemble()).toBe(PAYLOAD);
+  });
+
+  test("a frame from another payload starts the collection over", async () => {
+    const frames = await payloadToFrames(PAYLOAD, 16);
+    const other = PAYLOAD.split("").reverse().join("");
+    const others = await payloadToFrames(other, 16);
+    const collector = createFrameCollector();
+    frames.slice(0, 4).forEach((frame) => collector.add(frame));
+    collector.add(others[4]);
+    expect(collector.status()).toEqual({ received: 1, total: 5, complete: false });
+    others.slice(0, 4).forEach((frame) => collector.add(frame));
+    expect(await collector.assemble()).toBe(other);
+  });
+
+  test("frames whose data doesn't match their digest are refused", async () => {
+    const frames = await payloadToFrames(PAYLOAD, 16);
+    const { index, total, digest, data } = parseFrame(frames[2]);
+    const collector = createFrameCollector();
+    frames.forEach((frame) => collector.add(frame));
+    collector.add(`BZQR1:${index}/${total}:${digest}:${data.replace(/^./, (c) => (c === "A" ? "B" : "A"))}`);
+    expect(collector.status().complete).toBe(true);
+    await expect(collector.assemble()).rejects.toMatchObject({ key: "qrImport.badChecksum" });
+  });
+});
@@ -0,0 +1,62 @@
+import jsQR from "jsqr";
+
+/**
+ * QR decoding for the recipient's import path: still images and a live
+ * camera feed. Decoding happens locally with jsQR; nothing is uploaded.
+ */
+
+const MAX_SCAN_WIDTH = 800; // downscale big photos/frames; QR finder patterns survive it
+
+function decodeFromSource(source, width, height, canvas) {
+  const scale = Math.min(1, MAX_SCAN_WIDTH / width);
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const result = jsQR(img.data, img.width, img.height, { inversionAttempts: "attemptBoth" });
+  return result ? result.data : null;
+}
+
+// resolves to the decoded text, or null when no QR code was found
+export async function decodeQrImage(file) {
+  const bitmap = await createImageBitmap(file);
+  try {
+    return decodeFromSource(bitmap, bitmap.width, bitmap.height, document.createElement("canvas"));
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Starts the rear camera in `video` and calls onText for every decoded code
+ * (consecutive duplicates are skipped). Resolves to a stop() function.
+ */
+export async function startCameraScan(video, onText) {
+  const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false });
+  video.srcObject = stream;
+  video.setAttribute("playsinline", "");
+  await video.play();
+
+  const canvas = document.createElement("canvas");
+  let stopped = false;
+  let last = null;
+  const tick = () => {
+    if (stopped) return;
+    if (video.readyState >= 2 && video.videoWidth) {
+      const text = decodeFromSource(video, video.videoWidth, video.videoHeight, canvas);
+      if (text && text !== last) {
+        last = text;
+        onText(text);
+      }
+    }
+    setTimeout(() => requestAnimationFrame(tick), 80);
+  };
+  requestAnimationFrame(tick);
+
+  return () => {
+    stopped = true;
+    stream.getTracks().forEach((t) => t.stop());
+    video.srcObject = null;
+  };
+}
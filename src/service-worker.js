@@ -0,0 +1,156 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * BurnZip service worker (built by react-scripts via Workbox InjectManifest).
+ *
+ * - Precaches the app shell and every lazy chunk (workers, WASM KDFs, previews),
+ *   so sending and opening #share: links work with no network at all.
+ * - Streams decrypted downloads to disk (see streamDownload.js): the page posts
+ *   { type: "burnzip-download", id, filename, mime, size } with a port, then
+ *   navigates a hidden iframe to <scope>__burnzip_download__/<id>.
+ *   Port protocol: we send "pull" / "cancel"; the producer sends
+ *   { type: "chunk", data } | { type: "end" } | { type: "error", message }.
+ *   { type: "burnzip-download-abort", id } from the page fails a running download.
+ * - Receives Web Share Target POSTs (see manifest.json) and hands the shared
+ *   files/text to the page that opens afterwards (see shareTarget.js). They
+ *   are kept in memory only, never in Cache Storage.
+ *
+ * Only built for production; in development streamed downloads fall back to Blobs.
+ */
+import { clientsClaim } from "workbox-core";
+import { precacheAndRoute, cleanupOutdatedCaches, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute, NavigationRoute } from "workbox-routing";
+
+const SCOPE_PATH = new URL(self.registration.scope).pathname;
+const DOWNLOAD_PATH = `${SCOPE_PATH}__burnzip_download__/`;
+const SHARE_TARGET_PATH = `${SCOPE_PATH}share-target`;
+const SHARE_HANDOFF_MS = 60 * 1000;
+
+// the first install takes over open pages, so streamed downloads work without a reload
+clientsClaim();
+
+// ---- Streamed downloads ----
+const pending = new Map();
+const active = new Map(); // id -> ReadableStream controller
+
+function portStream(id, port) {
+  let resolvePull = null;
+  const settlePull = () => {
+    if (resolvePull) {
+      resolvePull();
+      resolvePull = null;
+    }
+  };
+  return new ReadableStream(
+    {
+      start(controller) {
+        active.set(id, controller);
+        port.onmessage = (e) => {
+          const msg = e.data || {};
+          if (msg.type === "chunk") {
+            controller.enqueue(new Uint8Array(msg.data));
+          } else if (msg.type === "end") {
+            active.delete(id);
+            controller.close();
+          } else if (msg.type === "error") {
+            active.delete(id);
+            controller.error(new Error(msg.message));
+          }
+          settlePull();
+        };
+      },
+      pull() {
+        return new Promise((resolve) => {
+          resolvePull = resolve;
+          port.postMessage({ type: "pull" });
+        });
+      },
+      cancel() {
+        active.delete(id);
+        port.postMessage({ type: "cancel" });
+      },
+    },
+    { highWaterMark: 1 }
+  );
+}
+
+function downloadResponse(id) {
+  const entry = pending.get(id);
+  if (!entry) return new Response("Download expired", { status: 404 });
+  pending.delete(id);
+
+  const headers = {
+    "Content-Type": entry.mime || "application/octet-stream",
+    "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(entry.filename || "download.bin")}`,
+    "X-Content-Type-Options": "nosniff",
+  };
+  if (entry.size != null) headers["Content-Length"] = String(entry.size);
+  return new Response(portStream(id, entry.port), { headers });
+}
+
+// ---- Web Share Target ----
+let sharedItems = null; // { received: Promise<{ files, text }>, done() } until the page collects it
+
+function receiveShare(request) {
+  let done;
+  const collected = new Promise((resolve) => {
+    done = resolve;
+    setTimeout(resolve, SHARE_HANDOFF_MS);
+  });
+  const received = request.formData().then((form) => ({
+    files: form.getAll("files").filter((f) => typeof f !== "string" && f.size > 0),
+    text: ["title", "text", "url"].map((name) => form.get(name)).filter(Boolean).join("\n"),
+  }));
+  sharedItems = { received, done };
+  // keep the worker alive until the page has picked the items up
+  return collected.then(() => {
+    if (sharedItems && sharedItems.received === received) sharedItems = null;
+  });
+}
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  const port = event.ports && event.ports[0];
+  if (msg.type === "burnzip-download-abort") {
+    const controller = active.get(msg.id);
+    if (controller) controller.error(new Error("Download cancelled"));
+    active.delete(msg.id);
+    pending.delete(msg.id);
+  } else if (msg.type === "burnzip-download" && port) {
+    pending.set(msg.id, { ...msg, port });
+    port.postMessage({ type: "registered" });
+  } else if (msg.type === "burnzip-share-intake" && port) {
+    const items = sharedItems;
+    sharedItems = null;
+    if (!items) {
+      port.postMessage(null);
+      return;
+    }
+    items.received
+      .then((data) => port.postMessage(data))
+      .catch(() => port.postMessage(null))
+      .finally(items.done);
+  }
+});
+
+// registered before Workbox's routes so these requests never reach the precache
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith(DOWNLOAD_PATH)) {
+    event.respondWith(downloadResponse(url.pathname.slice(DOWNLOAD_PATH.length)));
+  } else if (url.pathname === SHARE_TARGET_PATH && event.request.method === "POST") {
+    event.respondWith(Response.redirect(`${SCOPE_PATH}?share-target`, 303));
+    event.waitUntil(receiveShare(event.request));
+  }
+});
+
+// ---- App shell ----
+cleanupOutdatedCaches();
+precacheAndRoute(self.__WB_MANIFEST);
+
+// every navigation gets index.html, so the app opens offline at any path
+registerRoute(
+  new NavigationRoute(createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`), {
+    denylist: [/\/__burnzip_download__\//, /\/share-target$/],
+  })
+);
@@ -0,0 +1,14 @@
+/**
+ * Registers src/service-worker.js (precached app shell, streamed downloads,
+ * Web Share Target). Production builds only: the dev server has no worker to
+ * serve, and a cached shell would hide edits.
+ */
+
+export const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+export function register() {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((e) => console.warn("Service worker registration failed", e));
+  });
+}
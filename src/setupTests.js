@@ -0,0 +1,16 @@
+import { webcrypto } from "crypto";
+import { Blob } from "buffer";
+import { TextEncoder, TextDecoder } from "util";
+import { CompressionStream, DecompressionStream, ReadableStream } from "stream/web";
+import { runInThisContext } from "vm";
+
+// Node's fetch can't be imported, so it comes from Node's own global scope
+const { fetch, Request, Response, Headers } = runInThisContext("globalThis");
+
+// Jest 27's test environments predate Node's global WebCrypto, Blob, fetch and compression streams
+const globals = { crypto: webcrypto, Blob, TextEncoder, TextDecoder, CompressionStream, DecompressionStream, ReadableStream, fetch, Request, Response, Headers };
+for (const [name, value] of Object.entries(globals)) {
+  if (!global[name] || (name === "crypto" && !global.crypto.subtle)) {
+    Object.defineProperty(global, name, { value, configurable: true, writable: true });
+  }
+}
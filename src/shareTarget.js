@@ -0,0 +1,32 @@
+/**
+ * Web Share Target intake. Sharing into BurnZip POSTs to <scope>share-target;
+ * the service worker keeps the files/text in memory and redirects here with
+ * ?share-target. takeSharedItems() collects them once and drops the query, so
+ * a reload doesn't reopen the uploader.
+ *
+ * Resolves to { files: File[], text } or null when nothing was shared.
+ */
+
+const INTAKE_TIMEOUT_MS = 5000;
+
+export async function takeSharedItems() {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has("share-target")) return null;
+  url.searchParams.delete("share-target");
+  window.history.replaceState(null, "", url.toString());
+
+  const sw = "serviceWorker" in navigator ? navigator.serviceWorker.controller : null;
+  if (!sw) return null;
+  const channel = new MessageChannel();
+  const items = await new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(null), INTAKE_TIMEOUT_MS);
+    channel.port1.onmessage = (e) => {
+      clearTimeout(timer);
+      resolve(e.data);
+    };
+    sw.postMessage({ type: "burnzip-share-intake" }, [channel.port2]);
+  });
+  channel.port1.close();
+  if (!items || (!items.files.length && !items.text)) return null;
+  return items;
+}
@@ -0,0 +1,86 @@
+import axios from "axios";
+
+/**
+ * Blob-store client for payloads too large to embed in a link.
+ *
+ * Only already-encrypted bytes ever go over the wire; the code stays in the
+ * browser. The endpoint is read from REACT_APP_BLOB_STORE_URL at build time.
+ * Run `npm run blobstore` for a local in-memory stand-in.
+ *
+ * A client is any object with:
+ *   put(data, opts?)      -> Promise<shortId>   data: Uint8Array | Blob
+ *   get(id, opts?)        -> Promise<Blob>
+ *   consume(id, token)    -> Promise<{ remaining }>  counts one successful open
+ *   remove(id, token?)    -> Promise<void>
+ * opts: { onProgress({ done, total }), signal } — a cancelled request rejects
+ * with an AbortError. put() also takes { expiresAt, maxOpens, deleteTokenHash };
+ * the server drops the blob once it expires or its opens are used up.
+ */
+
+export const BLOB_STORE_URL = (process.env.REACT_APP_BLOB_STORE_URL || "").replace(/\/+$/, "");
+
+function progressHandler(onProgress) {
+  if (!onProgress) return undefined;
+  return (e) => onProgress({ done: e.loaded, total: e.total });
+}
+
+function rethrowCancel(e) {
+  if (axios.isCancel(e)) throw new DOMException("Cancelled", "AbortError");
+  throw e;
+}
+
+export function createHttpStorageClient(baseURL) {
+  // no overall timeout: multi-gigabyte transfers legitimately take a while
+  const http = axios.create({ baseURL });
+  return {
+    async put(data, { onProgress, signal, expiresAt, maxOpens, deleteTokenHash } = {}) {
+      const headers = { "Content-Type": "application/octet-stream" };
+      if (deleteTokenHash) headers["X-Delete-Token-Hash"] = deleteTokenHash;
+      const res = await http
+        .post("/blobs", data, {
+          headers,
+          params: { expiresAt: expiresAt || undefined, maxOpens: maxOpens || undefined },
+          onUploadProgress: progressHandler(onProgress),
+          signal,
+        })
+        .catch(rethrowCancel);
+      if (!res.data || typeof res.data.id !== "string") {
+        throw new Error("Blob store returned no id");
+      }
+      return res.data.id;
+    },
+    async get(id, { onProgress, signal } = {}) {
+      const res = await http
+        .get(`/blobs/${encodeURIComponent(id)}`, {
+          responseType: "blob",
+          onDownloadProgress: progressHandler(onProgress),
+          signal,
+        })
+        .catch(rethrowCancel);
+      return res.data;
+    },
+    async consume(id, token) {
+      const res = await http.post(`/blobs/${encodeURIComponent(id)}/consume`, null, {
+        headers: { "X-Delete-Token": token },
+      });
+      return res.data;
+    },
+    async remove(id, token) {
+      await http.delete(`/blobs/${encodeURIComponent(id)}`, {
+        headers: token ? { "X-Delete-Token": token } : {},
+      });
+    },
+  };
+}
+
+let activeClient = BLOB_STORE_URL ? createHttpStorageClient(BLOB_STORE_URL) : null;
+
+// returns null when no blob store is configured
+export function getStorageClient() {
+  return activeClient;
+}
+
+// swap in a different client (e.g. another backend or a test double)
+export function setStorageClient(client) {
+  activeClient = client;
+}
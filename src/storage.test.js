@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+import { createHash } from "crypto";
+import axios from "axios";
+import { createHttpStorageClient } from "./storage";
+import { createServer } from "../scripts/blob-store-server";
+
+// Jest 27 ignores package exports and would load axios's ESM entry
+jest.mock("axios", () => jest.requireActual("axios/dist/node/axios.cjs"));
+
+const TOKEN = "burn-me";
+const tokenHash = createHash("sha256").update(TOKEN).digest("hex");
+const bytes = (...values) => new Uint8Array(values);
+const status = (promise) => promise.then(() => 200, (e) => (e.response ? e.response.status : e));
+
+describe("blob store", () => {
+  let server;
+  let store;
+
+  beforeAll(async () => {
+    // fetch, as in the browser: Node's http adapter has no Blob responses
+    axios.defaults.adapter = "fetch";
+    server = createServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    store = createHttpStorageClient(`http://127.0.0.1:${server.address().port}`);
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("stores, serves and removes a blob", async () => {
+    const id = await store.put(bytes(0, 1, 254, 255));
+    expect(id).toMatch(/^[A-Za-z0-9_-]+$/);
+    const blob = await store.get(id);
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(bytes(0, 1, 254, 255));
+    await store.remove(id);
+    expect(await status(store.get(id))).toBe(404);
+  });
+
+  test("answers 410 once the blob has expired", async () => {
+    const expiresAt = Date.now() + 60 * 1000;
+    const id = await store.put(bytes(1), { expiresAt });
+    expect(await status(store.get(id))).toBe(200);
+    jest.spyOn(Date, "now").mockReturnValue(expiresAt + 1);
+    expect(await status(store.get(id))).toBe(410);
+    jest.restoreAllMocks();
+    expect(await status(store.get(id))).toBe(404);
+  });
+
+  test("counts opens down and deletes the blob at zero", async () => {
+    const id = await store.put(bytes(1), { maxOpens: 2, deleteTokenHash: tokenHash });
+    expect(await store.consume(id, TOKEN)).toEqual({ remaining: 1 });
+    expect(await status(store.get(id))).toBe(200);
+    expect(await store.consume(id, TOKEN)).toEqual({ remaining: 0 });
+    expect(await status(store.get(id))).toBe(404);
+  });
+
+  test("refuses a wrong delete token", async () => {
+    const id = await store.put(bytes(1), { maxOpens: 1, deleteTokenHash: tokenHash });
+    expect(await status(store.consume(id, "not-it"))).toBe(403);
+    expect(await status(store.remove(id, "not-it"))).toBe(403);
+    expect(await status(store.remove(id))).toBe(403);
+    expect(await status(store.get(id))).toBe(200);
+    await store.remove(id, TOKEN);
+    expect(await status(store.get(id))).toBe(404);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Stream-to-disk downloads through the app's service worker (service-worker.js).
+ *
+ * openDownloadStream() resolves to { port, start, close } or null when service
+ * workers are unavailable (callers then fall back to an in-memory Blob).
+ * Hand `port` to the producer first, then call start() to begin the download
+ * and close() once the producer has finished. abort() fails the download when
+ * the producer is stopped without being able to say so itself.
+ * The worker is only built for production, so development always uses Blobs.
+ */
+import { SERVICE_WORKER_URL } from "./serviceWorkerRegistration";
+
+const DOWNLOAD_PATH = `${process.env.PUBLIC_URL}/__burnzip_download__/`;
+
+async function getServiceWorker() {
+  if (!("serviceWorker" in navigator)) return null;
+  try {
+    await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    await navigator.serviceWorker.ready;
+  } catch (e) {
+    console.warn("Download service worker unavailable", e);
+    return null;
+  }
+  if (navigator.serviceWorker.controller) return navigator.serviceWorker.controller;
+
+  // first visit: the worker claims this page on activation
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(null), 3000);
+    navigator.serviceWorker.addEventListener(
+      "controllerchange",
+      () => {
+        clearTimeout(timer);
+        resolve(navigator.serviceWorker.controller);
+      },
+      { once: true }
+    );
+  });
+}
+
+function randomId() {
+  const bytes = window.crypto.getRandomValues(new Uint8Array(12));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function openDownloadStream({ filename, mime, size }) {
+  const sw = await getServiceWorker();
+  if (!sw) return null;
+
+  const id = randomId();
+  const channel = new MessageChannel();
+  const registered = new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), 3000);
+    channel.port1.onmessage = (e) => {
+      clearTimeout(timer);
+      resolve(e.data && e.data.type === "registered");
+    };
+  });
+  sw.postMessage({ type: "burnzip-download", id, filename, mime, size }, [channel.port2]);
+  if (!(await registered)) return null;
+  channel.port1.onmessage = null;
+
+  let iframe = null;
+  return {
+    port: channel.port1,
+    start() {
+      iframe = document.createElement("iframe");
+      iframe.hidden = true;
+      iframe.src = `${DOWNLOAD_PATH}${id}`;
+      document.body.appendChild(iframe);
+    },
+    close() {
+      if (iframe) iframe.remove();
+      iframe = null;
+    },
+    abort() {
+      sw.postMessage({ type: "burnzip-download-abort", id });
+    },
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Theming hooks. Inline styles take their colours and the font from CSS custom
+ * properties (--bz-accent, --bz-on-accent, ...), so a page embedding BurnZip
+ * (see embed.js) can restyle it without touching the markup. The fallbacks are
+ * BurnZip's own look.
+ */
+
+export const THEME_TOKENS = {
+  accent: "#0b63d8", // primary buttons and links
+  onAccent: "#fff", // text on the accent colour
+  text: "#111",
+  label: "#333", // labels and secondary copy
+  muted: "#666", // hints, sizes and counts
+  surface: "#fff", // dialogs, panels and secondary buttons
+  subtle: "#f2f4f7", // unselected toggles and meter tracks
+  border: "#ddd", // inputs, secondary buttons and boxes
+  codeSurface: "#f8f8f8", // text, Markdown and code previews
+  // notices, the sender badge and the strength meter: text, background and border for each tone
+  info: "#0b3d80",
+  infoSurface: "#f3f8ff",
+  infoBorder: "#c9dcf5",
+  danger: "#8b1a1a",
+  dangerSurface: "#fff5f5",
+  dangerBorder: "#f1b5b5",
+  success: "#1d5e2c",
+  successSurface: "#f3fbf5",
+  successBorder: "#b7dfc0",
+  warning: "#6b4a00",
+  warningSurface: "#fffaeb",
+  warningBorder: "#f0d58c",
+  font: "system-ui, -apple-system, 'Segoe UI', Roboto, Arial",
+};
+
+function cssVar(name) {
+  return `--bz-${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+}
+
+// for inline styles: theme.accent is "var(--bz-accent, #0b63d8)"
+export const theme = Object.fromEntries(Object.entries(THEME_TOKENS).map(([name, fallback]) => [name, `var(${cssVar(name)}, ${fallback})`]));
+
+// colours and font names only: nothing that could load a URL or break out of the declaration
+const COLOR_FUNCTION = /^(rgba?|hsla?)\([\d\s.,%/]+\)$/;
+function isSafeValue(value) {
+  if (typeof value !== "string" || !value.trim() || value.length > 120 || /[;{}<>\\@]/.test(value)) return false;
+  return !value.includes("(") || COLOR_FUNCTION.test(value.trim());
+}
+
+// overrides: { accent: "#7a2ff0", font: "Inter, sans-serif", ... }; unknown
+// tokens and unsafe values are skipped. Returns the names of the tokens applied.
+export function applyTheme(overrides, root = document.documentElement) {
+  const applied = [];
+  for (const [name, value] of Object.entries(overrides || {})) {
+    if (!(name in THEME_TOKENS) || !isSafeValue(value)) continue;
+    root.style.setProperty(cssVar(name), value.trim());
+    applied.push(name);
+  }
+  return applied;
+}
@@ -0,0 +1,216 @@
+/**
+ * Minimal ZIP (store-only) writer and reader for multi-file bundles.
+ *
+ * Files are stored uncompressed: the bundle is encrypted right after, and
+ * ciphertext does not compress anyway. Output is assembled from Blob slices,
+ * so building a bundle never reads more than one CRC chunk into memory.
+ * No ZIP64: a bundle is limited to 65535 entries and 4 GiB.
+ */
+
+const CRC_CHUNK = 1024 * 1024;
+const MAX_ZIP32 = 0xffffffff;
+const FLAG_UTF8 = 0x0800;
+
+let crcTable = null;
+function getCrcTable() {
+  if (crcTable) return crcTable;
+  crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    crcTable[n] = c >>> 0;
+  }
+  return crcTable;
+}
+
+async function crc32OfBlob(blob) {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let offset = 0; offset < blob.size; offset += CRC_CHUNK) {
+    const u8 = new Uint8Array(await blob.slice(offset, offset + CRC_CHUNK).arrayBuffer());
+    for (let i = 0; i < u8.length; i++) crc = table[(crc ^ u8[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(ms) {
+  const d = new Date(ms || Date.now());
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+function localHeader(nameBytes, crc, size, dt) {
+  const out = new Uint8Array(30 + nameBytes.length);
+  const dv = new DataView(out.buffer);
+  dv.setUint32(0, 0x04034b50, true);
+  dv.setUint16(4, 20, true);
+  dv.setUint16(6, FLAG_UTF8, true);
+  dv.setUint16(8, 0, true); // stored
+  dv.setUint16(10, dt.time, true);
+  dv.setUint16(12, dt.date, true);
+  dv.setUint32(14, crc, true);
+  dv.setUint32(18, size, true);
+  dv.setUint32(22, size, true);
+  dv.setUint16(26, nameBytes.length, true);
+  dv.setUint16(28, 0, true);
+  out.set(nameBytes, 30);
+  return out;
+}
+
+function centralHeader(nameBytes, crc, size, dt, offset) {
+  const out = new Uint8Array(46 + nameBytes.length);
+  const dv = new DataView(out.buffer);
+  dv.setUint32(0, 0x02014b50, true);
+  dv.setUint16(4, 20, true);
+  dv.setUint16(6, 20, true);
+  dv.setUint16(8, FLAG_UTF8, true);
+  dv.setUint16(10, 0, true);
+  dv.setUint16(12, dt.time, true);
+  dv.setUint16(14, dt.date, true);
+  dv.setUint32(16, crc, true);
+  dv.setUint32(20, size, true);
+  dv.setUint32(24, size, true);
+  dv.setUint16(28, nameBytes.length, true);
+  dv.setUint32(42, offset, true);
+  out.set(nameBytes, 46);
+  return out;
+}
+
+function endOfCentralDirectory(count, cdSize, cdOffset) {
+  const out = new Uint8Array(22);
+  const dv = new DataView(out.buffer);
+  dv.setUint32(0, 0x06054b50, true);
+  dv.setUint16(8, count, true);
+  dv.setUint16(10, count, true);
+  dv.setUint32(12, cdSize, true);
+  dv.setUint32(16, cdOffset, true);
+  return out;
+}
+
+// "a.txt" -> "a (2).txt", "a (3).txt", ... whichever isn't taken yet
+function uniqueName(name, taken) {
+  if (!taken.has(name)) return name;
+  const dot = name.lastIndexOf(".");
+  const split = dot > name.lastIndexOf("/") + 1 ? dot : name.length;
+  for (let n = 2; ; n++) {
+    const candidate = `${name.slice(0, split)} (${n})${name.slice(split)}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
+
+// entries: [{ file: File|Blob, path: "dir/name.ext" }] -> Blob (application/zip)
+// Two entries with the same path (one dropped file, one from a folder) are
+// both kept, the second renamed.
+export async function createZip(entries, onProgress) {
+  if (entries.length > 0xffff) throw new Error("Too many files for one bundle");
+  const enc = new TextEncoder();
+  const parts = [];
+  const central = [];
+  const total = entries.reduce((sum, e) => sum + e.file.size, 0);
+  let offset = 0;
+  let hashed = 0;
+  const paths = new Set();
+
+  for (const entry of entries) {
+    const { file } = entry;
+    const path = uniqueName(entry.path, paths);
+    paths.add(path);
+    const nameBytes = enc.encode(path);
+    const crc = await crc32OfBlob(file);
+    const dt = dosDateTime(file.lastModified);
+    const header = localHeader(nameBytes, crc, file.size, dt);
+    central.push(centralHeader(nameBytes, crc, file.size, dt, offset));
+    parts.push(header, file);
+    offset += header.length + file.size;
+    if (offset > MAX_ZIP32) throw new Error("Bundle exceeds 4 GiB");
+    hashed += file.size;
+    if (onProgress) onProgress({ done: hashed, total });
+  }
+
+  const cdSize = central.reduce((sum, c) => sum + c.length, 0);
+  parts.push(...central, endOfCentralDirectory(entries.length, cdSize, offset));
+  return new Blob(parts, { type: "application/zip" });
+}
+
+// the size createZip will give these entries, without reading any of them
+export function zipSize(entries) {
+  const enc = new TextEncoder();
+  const paths = new Set();
+  let size = 22; // end of central directory
+  for (const entry of entries) {
+    const path = uniqueName(entry.path, paths);
+    paths.add(path);
+    size += 30 + 46 + 2 * enc.encode(path).length + entry.file.size; // local + central header, name twice
+  }
+  return size;
+}
+
+// returns [{ path, size, method, blob }] where blob is the stored data (method 0)
+export async function readZip(blob) {
+  const tailLen = Math.min(blob.size, 22 + 0xffff);
+  const tail = new Uint8Array(await blob.slice(blob.size - tailLen).arrayBuffer());
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail[i] === 0x50 && tail[i + 1] === 0x4b && tail[i + 2] === 0x05 && tail[i + 3] === 0x06) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("Not a ZIP archive");
+  const edv = new DataView(tail.buffer, eocd);
+  const count = edv.getUint16(10, true);
+  const cdSize = edv.getUint32(12, true);
+  const cdOffset = edv.getUint32(16, true);
+
+  const cd = new Uint8Array(await blob.slice(cdOffset, cdOffset + cdSize).arrayBuffer());
+  const dv = new DataView(cd.buffer);
+  const dec = new TextDecoder();
+  const entries = [];
+  let pos = 0;
+  for (let i = 0; i < count; i++) {
+    if (dv.getUint32(pos, true) !== 0x02014b50) throw new Error("Corrupt ZIP central directory");
+    const method = dv.getUint16(pos + 10, true);
+    const compSize = dv.getUint32(pos + 20, true);
+    const size = dv.getUint32(pos + 24, true);
+    const nameLen = dv.getUint16(pos + 28, true);
+    const extraLen = dv.getUint16(pos + 30, true);
+    const commentLen = dv.getUint16(pos + 32, true);
+    const localOffset = dv.getUint32(pos + 42, true);
+    const path = dec.decode(cd.subarray(pos + 46, pos + 46 + nameLen));
+    pos += 46 + nameLen + extraLen + commentLen;
+    if (path.endsWith("/")) continue; // directory entry
+
+    const lh = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+    const dataStart = localOffset + 30 + lh.getUint16(26, true) + lh.getUint16(28, true);
+    entries.push({ path, size, method, blob: blob.slice(dataStart, dataStart + compSize) });
+  }
+  return entries;
+}
+
+// [{ path }] -> nested { name, children: [...], entry? } for rendering. Names
+// are unique among a folder's files, so an archive from another tool that
+// repeats a path still lists every entry.
+export function buildFileTree(entries) {
+  const root = { name: "", children: [] };
+  for (const entry of entries) {
+    const segments = entry.path.split("/").filter(Boolean);
+    let node = root;
+    segments.forEach((segment, i) => {
+      if (i === segments.length - 1) {
+        const taken = new Set(node.children.filter((c) => c.entry).map((c) => c.name));
+        node.children.push({ name: uniqueName(segment, taken), children: [], entry });
+        return;
+      }
+      let child = node.children.find((c) => c.name === segment && !c.entry);
+      if (!child) {
+        child = { name: segment, children: [] };
+        node.children.push(child);
+      }
+      node = child;
+    });
+  }
+  return root;
+}
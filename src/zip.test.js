@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+import { createZip, zipSize, readZip, buildFileTree } from "./zip";
+
+const text = async (blob) => new TextDecoder().decode(await blob.arrayBuffer());
+const file = (content) => new Blob([content]);
+
+describe("bundles", () => {
+  test("round-trips UTF-8 names and nested paths with the right sizes and CRCs", async () => {
+    const zip = await createZip([
+      { file: file("hello"), path: "docs/notes/résumé.txt" },
+      { file: file(""), path: "empty.txt" },
+      { file: file("ニャー"), path: "写真/猫/名前.txt" },
+    ]);
+    const entries = await readZip(zip);
+    expect(entries.map((e) => [e.path, e.size, e.method])).toEqual([
+      ["docs/notes/résumé.txt", 5, 0],
+      ["empty.txt", 0, 0],
+      ["写真/猫/名前.txt", 9, 0],
+    ]);
+    expect(await text(entries[0].blob)).toBe("hello");
+    expect(await text(entries[2].blob)).toBe("ニャー");
+
+    // CRC-32 of "hello" and of nothing, in the local headers
+    const bytes = new DataView(await zip.arrayBuffer());
+    expect(bytes.getUint32(14, true)).toBe(0x3610a686);
+    expect(bytes.getUint16(6, true) & 0x0800).toBe(0x0800);
+    const second = 30 + new TextEncoder().encode("docs/notes/résumé.txt").length + 5;
+    expect(bytes.getUint32(second, true)).toBe(0x04034b50);
+    expect(bytes.getUint32(second + 14, true)).toBe(0);
+  });
+
+  test("keeps both files when two share a path", async () => {
+    const zip = await createZip([
+      { file: file("one"), path: "a.txt" },
+      { file: file("two"), path: "a.txt" },
+      { file: file("three"), path: "dir.v2/README" },
+      { file: file("four"), path: "dir.v2/README" },
+    ]);
+    const entries = await readZip(zip);
+    expect(entries.map((e) => e.path)).toEqual(["a.txt", "a (2).txt", "dir.v2/README", "dir.v2/README (2)"]);
+    expect(await text(entries[1].blob)).toBe("two");
+  });
+
+  test("knows the archive's size without building it", async () => {
+    const entries = [
+      { file: file("hello"), path: "docs/résumé.txt" },
+      { file: file("one"), path: "a.txt" },
+      { file: file("two"), path: "a.txt" },
+    ];
+    expect(zipSize(entries)).toBe((await createZip(entries)).size);
+  });
+
+  test("builds a folder tree that lists every entry", () => {
+    const entries = [{ path: "photos/2024/a.jpg" }, { path: "photos/b.jpg" }, { path: "notes.txt" }, { path: "notes.txt" }, { path: "photos" }];
+    const tree = buildFileTree(entries);
+    const names = (node) => node.children.map((c) => (c.entry ? c.name : `${c.name}/`));
+    expect(names(tree)).toEqual(["photos/", "notes.txt", "notes (2).txt", "photos"]);
+    const photos = tree.children[0];
+    expect(names(photos)).toEqual(["2024/", "b.jpg"]);
+    expect(photos.children[0].children[0].entry).toBe(entries[0]);
+    expect(tree.children[2].entry).toBe(entries[3]);
+  });
+});